@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import fetch from 'node-fetch';
+
+// Node types that are rendered as SVG instead of being recreated in markup
+const VECTOR_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'LINE', 'REGULAR_POLYGON'];
+
+// Render requests are split so the ids query string stays a reasonable length
+const RENDER_BATCH_SIZE = 50;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+// Downloads the images and vector icons used by extracted nodes and
+// rewrites the metadata to point at the local files
+class AssetExporter {
+  constructor(figmaClient, options = {}) {
+    this.figma = figmaClient;
+    this.outputDir = options.outputDir || path.join('public', 'figma');
+    this.scales = options.scales || [1, 2];
+  }
+
+  // An instance counts as an icon when its name says so or it only contains vector shapes
+  isIcon(node) {
+    if (node.type !== 'INSTANCE') return false;
+    if (/\bicon\b/i.test(node.name || '')) return true;
+
+    const onlyVectors = children => children.every(child =>
+      VECTOR_TYPES.includes(child.type) ||
+      ((child.type === 'GROUP' || child.type === 'FRAME') && child.children && onlyVectors(child.children))
+    );
+
+    return Boolean(node.children && node.children.length > 0 && onlyVectors(node.children));
+  }
+
+  // A container made of images and shapes but no text is rendered as one bitmap,
+  // since its overlays and masks cannot be rebuilt from the raw image fills
+  isBitmapFrame(node) {
+    if (!node.children || node.children.length === 0) return false;
+
+    let hasImage = false;
+    let hasText = false;
+    const visit = current => {
+      if (current.type === 'TEXT') hasText = true;
+      if ((current.fills || []).some(fill => fill && fill.type === 'IMAGE')) hasImage = true;
+      (current.children || []).forEach(visit);
+    };
+    visit(node);
+
+    return hasImage && !hasText;
+  }
+
+  // Walk the tree and collect the image fills and nodes to render
+  collect(node, found = { imageRefs: new Set(), svgNodes: [], pngNodes: [] }) {
+    if (!node) return found;
+
+    // Rendered nodes cover their whole subtree, so there is nothing left to collect below them
+    if (VECTOR_TYPES.includes(node.type) || this.isIcon(node)) {
+      found.svgNodes.push(node);
+      return found;
+    }
+
+    (node.fills || []).forEach(fill => {
+      if (fill && fill.type === 'IMAGE' && fill.imageRef) {
+        found.imageRefs.add(fill.imageRef);
+      }
+    });
+
+    if (this.isBitmapFrame(node)) {
+      found.pngNodes.push(node);
+      return found;
+    }
+
+    (node.children || []).forEach(child => this.collect(child, found));
+    return found;
+  }
+
+  fileName(node, extension, scale) {
+    const slug = (node.name || node.type)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'node';
+    const id = node.id.replace(/[^a-zA-Z0-9]+/g, '-');
+    const suffix = scale && scale !== 1 ? `@${scale}x` : '';
+
+    return `${slug}-${id}${suffix}.${extension}`;
+  }
+
+  async download(url, fileName) {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      throw new Error(`Asset download failed: ${response.status} ${response.statusText}`);
+    }
+
+    // Image fills have no known type until the response arrives
+    let name = fileName;
+    if (!path.extname(name)) {
+      const contentType = (response.headers.get('content-type') || '').split(';')[0];
+      name = `${name}.${EXTENSIONS[contentType] || 'png'}`;
+    }
+
+    const filePath = path.join(this.outputDir, name);
+    fs.writeFileSync(filePath, await response.buffer());
+    this.figma.log(`Saved asset ${filePath}`);
+
+    return filePath;
+  }
+
+  // Render nodes through the images endpoint and download the results
+  async render(fileKey, nodes, format, scale) {
+    const paths = {};
+
+    for (let i = 0; i < nodes.length; i += RENDER_BATCH_SIZE) {
+      const batch = nodes.slice(i, i + RENDER_BATCH_SIZE);
+      const { images } = await this.figma.images(fileKey, { ids: batch.map(node => node.id), format, scale });
+
+      await Promise.all(batch.map(async node => {
+        if (!images || !images[node.id]) {
+          this.figma.log(`Figma could not render node ${node.id} as ${format}`);
+          return;
+        }
+        paths[node.id] = await this.download(images[node.id], this.fileName(node, format, format === 'svg' ? 1 : scale));
+      }));
+    }
+
+    return paths;
+  }
+
+  // Export every asset used under the given roots and annotate the roots in place
+  async export(fileKey, roots) {
+    const found = { imageRefs: new Set(), svgNodes: [], pngNodes: [] };
+    roots.forEach(root => this.collect(root, found));
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    // Image fills resolve to their original uploads
+    const imagePaths = {};
+    if (found.imageRefs.size > 0) {
+      const { meta } = await this.figma.imageFills(fileKey);
+      const urls = (meta && meta.images) || {};
+
+      await Promise.all([...found.imageRefs].map(async imageRef => {
+        if (!urls[imageRef]) {
+          this.figma.log(`No download URL for image fill ${imageRef}`);
+          return;
+        }
+        imagePaths[imageRef] = await this.download(urls[imageRef], `image-${imageRef.slice(0, 16)}`);
+      }));
+    }
+
+    const svgPaths = found.svgNodes.length > 0
+      ? await this.render(fileKey, found.svgNodes, 'svg', 1)
+      : {};
+
+    const pngPaths = {};
+    for (const scale of found.pngNodes.length > 0 ? this.scales : []) {
+      pngPaths[scale] = await this.render(fileKey, found.pngNodes, 'png', scale);
+    }
+
+    const annotate = node => {
+      (node.fills || []).forEach(fill => {
+        if (fill && fill.type === 'IMAGE' && imagePaths[fill.imageRef]) {
+          fill.asset = imagePaths[fill.imageRef];
+          delete fill.imageRef;
+        }
+      });
+
+      const assets = [];
+      if (svgPaths[node.id]) {
+        assets.push({ format: 'svg', path: svgPaths[node.id] });
+      }
+      Object.entries(pngPaths).forEach(([scale, paths]) => {
+        if (paths[node.id]) {
+          assets.push({ format: 'png', scale: Number(scale), path: paths[node.id] });
+        }
+      });
+      if (assets.length > 0) {
+        node.assets = assets;
+      }
+
+      (node.children || []).forEach(annotate);
+    };
+    roots.forEach(annotate);
+
+    return {
+      images: Object.values(imagePaths),
+      svgs: Object.values(svgPaths),
+      pngs: Object.values(pngPaths).flatMap(paths => Object.values(paths))
+    };
+  }
+}
+
+export default AssetExporter;
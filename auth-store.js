@@ -0,0 +1,87 @@
+import fs from 'fs';
+
+// Named sets of Figma credentials stored in one file, readable only by the owner:
+// { activeProfile, profiles: { name: { token } | { oauth }, ... } }
+class AuthStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return { activeProfile: null, profiles: {} };
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      // Files written before profiles existed hold a single set of credentials
+      if (!data.profiles) {
+        return { activeProfile: 'default', profiles: data.token || data.oauth ? { default: data } : {} };
+      }
+
+      return { activeProfile: data.activeProfile || null, profiles: data.profiles };
+    } catch (error) {
+      console.error('Error reading auth token:', error.message);
+      return { activeProfile: null, profiles: {} };
+    }
+  }
+
+  write(data) {
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+
+    // The mode only applies to new files, so tighten files created by older versions too
+    fs.chmodSync(this.filePath, 0o600);
+  }
+
+  get activeProfile() {
+    return this.read().activeProfile;
+  }
+
+  get(name) {
+    const credentials = this.read().profiles[name];
+    return credentials && (credentials.token || credentials.oauth) ? credentials : null;
+  }
+
+  // Store credentials under a profile, replacing any previous ones; the first profile becomes the active one
+  set(name, credentials) {
+    const data = this.read();
+    data.profiles[name] = credentials;
+    data.activeProfile = data.activeProfile || name;
+    this.write(data);
+  }
+
+  remove(name) {
+    const data = this.read();
+    if (!data.profiles[name]) return false;
+
+    delete data.profiles[name];
+    if (data.activeProfile === name) {
+      data.activeProfile = null;
+    }
+    this.write(data);
+    return true;
+  }
+
+  use(name) {
+    const data = this.read();
+    if (!data.profiles[name]) {
+      throw new Error(`No profile named "${name}". Create it with: claude-code-figma auth --profile ${name}`);
+    }
+
+    data.activeProfile = name;
+    this.write(data);
+  }
+
+  list() {
+    const data = this.read();
+    return Object.entries(data.profiles).map(([name, credentials]) => ({
+      name,
+      active: name === data.activeProfile,
+      method: credentials.oauth ? 'OAuth' : 'personal access token',
+      handle: credentials.handle || null
+    }));
+  }
+}
+
+export default AuthStore;
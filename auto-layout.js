@@ -0,0 +1,105 @@
+// Translate Figma auto-layout into explicit CSS flexbox declarations per node
+// Each axis is FILL (grow into the parent), HUG (fit the content) or FIXED (keep the frame's size)
+
+const ALIGN_SELF = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end' };
+
+const round = value => Math.round(value * 100) / 100;
+
+function isAutoLayout(node) {
+  return Boolean(node && node.layout && node.layout.mode && node.layout.mode !== 'NONE');
+}
+
+// Sizing of one axis, from layoutSizingHorizontal/Vertical when the file has them,
+// otherwise from the older layoutGrow, layoutAlign and axis sizing mode fields
+function axisSizing(node, parent, axis) {
+  if (node.layoutSizing && node.layoutSizing[axis]) {
+    return node.layoutSizing[axis];
+  }
+
+  if (isAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE') {
+    const primary = (parent.layout.mode === 'HORIZONTAL') === (axis === 'horizontal');
+    if (primary ? node.layoutGrow === 1 : node.layoutAlign === 'STRETCH') return 'FILL';
+  }
+
+  if (isAutoLayout(node)) {
+    const primary = (node.layout.mode === 'HORIZONTAL') === (axis === 'horizontal');
+    if ((primary ? node.layout.primaryAxisSizingMode : node.layout.counterAxisSizingMode) === 'AUTO') return 'HUG';
+  }
+
+  if (node.type === 'TEXT' && node.textStyle) {
+    const autoResize = node.textStyle.autoResize;
+    if (autoResize === 'WIDTH_AND_HEIGHT' || (autoResize === 'HEIGHT' && axis === 'vertical')) return 'HUG';
+  }
+
+  return 'FIXED';
+}
+
+// Resolve a node's sizing and the CSS that reproduces it inside its parent
+// index is the node's position among its siblings; without a parent the node is laid out on its own
+function resolveLayout(node, parent = null, index = 0) {
+  const inFlow = isAutoLayout(parent) && node.layoutPositioning !== 'ABSOLUTE';
+  const absolute = isAutoLayout(parent) && node.layoutPositioning === 'ABSOLUTE';
+  const width = absolute ? 'FIXED' : axisSizing(node, parent, 'horizontal');
+  const height = absolute ? 'FIXED' : axisSizing(node, parent, 'vertical');
+  const css = {};
+
+  // Absolute children of auto-layout frames are taken out of the flow
+  if (absolute) {
+    css.position = 'absolute';
+    if (node.position && parent.position) {
+      css.left = `${round(node.position.x - parent.position.x)}px`;
+      css.top = `${round(node.position.y - parent.position.y)}px`;
+    }
+  } else if ((node.children || []).some(child => child.layoutPositioning === 'ABSOLUTE')) {
+    css.position = 'relative';
+  }
+
+  if (inFlow) {
+    const horizontal = parent.layout.mode === 'HORIZONTAL';
+    const primary = horizontal ? width : height;
+    const counter = horizontal ? height : width;
+
+    // Figma never shrinks fixed or hugging items, flexbox does by default
+    if (primary === 'FILL') {
+      css.flex = '1 1 0%';
+    } else {
+      css['flex-shrink'] = '0';
+    }
+
+    if (counter === 'FILL') {
+      css['align-self'] = 'stretch';
+    } else if (ALIGN_SELF[node.layoutAlign]) {
+      css['align-self'] = ALIGN_SELF[node.layoutAlign];
+    }
+  }
+
+  // FILL is covered by flex and align-self inside an auto-layout parent; text sizes itself when it hugs
+  [['width', width, 'horizontal'], ['height', height, 'vertical']].forEach(([property, sizing, axis]) => {
+    const primaryAxis = inFlow && (parent.layout.mode === 'HORIZONTAL') === (axis === 'horizontal');
+    if (sizing === 'FIXED' && node.size) {
+      css[property] = `${round(node.size[property])}px`;
+    } else if (sizing === 'HUG' && node.type !== 'TEXT') {
+      css[property] = 'fit-content';
+    } else if (sizing === 'FILL' && !inFlow) {
+      css[property] = '100%';
+    } else if (sizing === 'FILL' && primaryAxis) {
+      // flex-basis 0 lets the item shrink below its content, like Figma's fill
+      css[`min-${property}`] = '0';
+    }
+  });
+
+  const limits = node.sizeLimits || {};
+  [['minWidth', 'min-width'], ['maxWidth', 'max-width'], ['minHeight', 'min-height'], ['maxHeight', 'max-height']].forEach(([key, property]) => {
+    if (limits[key] !== undefined && limits[key] !== null) css[property] = `${round(limits[key])}px`;
+  });
+
+  // With itemReverseZIndex the first child is drawn on top
+  if (inFlow && parent.layout.itemReverseZIndex && parent.children) {
+    css.position = css.position || 'relative';
+    css['z-index'] = String(parent.children.length - index);
+  }
+
+  return { width, height, css };
+}
+
+export { resolveLayout, isAutoLayout };
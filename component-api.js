@@ -0,0 +1,264 @@
+// Build a prop API for Figma components and component sets from their
+// componentPropertyDefinitions, and describe how each variant differs from the default
+
+// Keys that identify or annotate a node rather than style it, skipped when diffing
+const IDENTITY_KEYS = [
+  'id', 'name', 'type', 'position', 'children', 'componentPropertyDefinitions',
+  'componentApi', 'tailwind', 'cssLayout', 'assets', 'comments', 'codeComponent',
+  'mainComponent', 'componentKey', 'componentSetKey'
+];
+
+function pascalCase(value) {
+  const name = String(value || '')
+    .replace(/#.*$/, '')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  // Identifiers cannot start with a digit
+  return /^[0-9]/.test(name) ? `Figma${name}` : name;
+}
+
+// Component property keys carry a "#id" suffix, e.g. "Show Icon#12:3" becomes showIcon
+function propName(key) {
+  const name = pascalCase(key);
+  return name ? name.charAt(0).toLowerCase() + name.slice(1) : 'prop';
+}
+
+// Variants whose only options are true/false read better as boolean props
+function isBooleanVariant(options) {
+  return options.length === 2 && options.every(option => /^(true|false)$/i.test(option));
+}
+
+// Parse a variant component name such as "Size=Large, State=Hover"
+function parseVariantName(name) {
+  const values = {};
+
+  String(name || '').split(',').forEach(pair => {
+    const [key, ...rest] = pair.split('=');
+    if (rest.length > 0) {
+      values[key.trim()] = rest.join('=').trim();
+    }
+  });
+
+  return values;
+}
+
+function buildPropsModel(definitions = {}) {
+  return Object.entries(definitions).map(([figmaName, definition]) => {
+    const prop = { name: propName(figmaName), figmaName };
+
+    if (definition.type === 'VARIANT') {
+      const options = definition.variantOptions || [];
+      if (isBooleanVariant(options)) {
+        return { ...prop, kind: 'variant', type: 'boolean', defaultValue: /^true$/i.test(definition.defaultValue) };
+      }
+      return {
+        ...prop,
+        kind: 'variant',
+        type: options.map(option => JSON.stringify(option)).join(' | ') || 'string',
+        options,
+        defaultValue: definition.defaultValue
+      };
+    }
+
+    if (definition.type === 'BOOLEAN') {
+      return { ...prop, kind: 'boolean', type: 'boolean', defaultValue: definition.defaultValue };
+    }
+
+    if (definition.type === 'TEXT') {
+      return { ...prop, kind: 'text', type: 'string', defaultValue: definition.defaultValue };
+    }
+
+    if (definition.type === 'INSTANCE_SWAP') {
+      return {
+        ...prop,
+        kind: 'instance-swap',
+        type: 'React.ReactNode',
+        defaultValue: definition.defaultValue,
+        preferredValues: definition.preferredValues
+      };
+    }
+
+    return { ...prop, kind: String(definition.type).toLowerCase(), type: 'unknown', defaultValue: definition.defaultValue };
+  });
+}
+
+// Render the props model as a TypeScript interface
+function generatePropsInterface(componentName, model) {
+  let source = `export interface ${componentName}Props {\n`;
+
+  model.forEach(prop => {
+    const kind = prop.kind === 'instance-swap' ? 'instance swap' : prop.kind;
+    const defaultValue = prop.kind === 'instance-swap' ? `component ${prop.defaultValue}` : JSON.stringify(prop.defaultValue);
+    source += `  /** Figma ${kind} property "${prop.figmaName.replace(/#.*$/, '')}", default ${defaultValue} */\n`;
+    source += `  ${prop.name}?: ${prop.type};\n`;
+  });
+
+  source += '}\n';
+  return source;
+}
+
+// Turn an instance's componentProperties into JSX attributes matching the props model
+function instancePropsToJsx(componentProperties = {}) {
+  return Object.entries(componentProperties)
+    .map(([key, property]) => {
+      const isBoolean = property.type === 'BOOLEAN' ||
+        (property.type === 'VARIANT' && /^(true|false)$/i.test(property.value));
+
+      if (isBoolean) {
+        const value = property.type === 'BOOLEAN' ? property.value : /^true$/i.test(property.value);
+        return value ? propName(key) : `${propName(key)}={false}`;
+      }
+      if (property.type === 'VARIANT' || property.type === 'TEXT') {
+        return `${propName(key)}=${JSON.stringify(String(property.value))}`;
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Flatten a node's style properties into { "layout.padding.top": 16, ... }
+function flattenStyles(value, prefix = '', out = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flattenStyles(item, `${prefix}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      if (!prefix && IDENTITY_KEYS.includes(key)) return;
+      flattenStyles(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (value !== undefined && value !== null) {
+    out[prefix] = value;
+  }
+
+  return out;
+}
+
+// Index the elements of a tree by their name path; repeated names get an [n] suffix
+function indexElements(node, elementPath = '(root)', out = {}) {
+  out[elementPath] = node;
+
+  const seen = {};
+  (node.children || []).forEach(child => {
+    seen[child.name] = (seen[child.name] || 0) + 1;
+    const suffix = seen[child.name] > 1 ? `[${seen[child.name]}]` : '';
+    indexElements(child, `${elementPath === '(root)' ? '' : `${elementPath} > `}${child.name}${suffix}`, out);
+  });
+
+  return out;
+}
+
+// Compare two extracted trees element by element
+function diffStyles(base, other) {
+  const changes = [];
+  const baseElements = indexElements(base);
+  const otherElements = indexElements(other);
+
+  Object.keys(baseElements).forEach(elementPath => {
+    if (!otherElements[elementPath]) {
+      changes.push({ element: elementPath, change: 'removed' });
+    }
+  });
+
+  Object.entries(otherElements).forEach(([elementPath, node]) => {
+    const baseNode = baseElements[elementPath];
+    if (!baseNode) {
+      changes.push({ element: elementPath, change: 'added' });
+      return;
+    }
+
+    const before = flattenStyles(baseNode);
+    const after = flattenStyles(node);
+    [...new Set([...Object.keys(before), ...Object.keys(after)])].forEach(property => {
+      if (before[property] !== after[property]) {
+        changes.push({ element: elementPath, property, from: before[property], to: after[property] });
+      }
+    });
+
+    // Class-level differences are what an implementer actually writes
+    if (baseNode.tailwind && node.tailwind && baseNode.tailwind.classes !== node.tailwind.classes) {
+      const beforeClasses = baseNode.tailwind.classes.split(' ');
+      const afterClasses = node.tailwind.classes.split(' ');
+      changes.push({
+        element: elementPath,
+        classes: {
+          added: afterClasses.filter(cls => !beforeClasses.includes(cls)),
+          removed: beforeClasses.filter(cls => !afterClasses.includes(cls))
+        }
+      });
+    }
+  });
+
+  return changes;
+}
+
+// Describe the prop API of a COMPONENT_SET or standalone COMPONENT
+function describeComponentApi(node) {
+  if (!node.componentPropertyDefinitions) return null;
+
+  const componentName = pascalCase(node.name) || 'Component';
+  const props = buildPropsModel(node.componentPropertyDefinitions);
+  const api = {
+    componentName,
+    props,
+    typescript: generatePropsInterface(componentName, props)
+  };
+
+  if (node.type !== 'COMPONENT_SET') {
+    return api;
+  }
+
+  const variants = (node.children || [])
+    .filter(child => child.type === 'COMPONENT')
+    .map(child => ({ id: child.id, name: child.name, values: parseVariantName(child.name), node: child }));
+
+  const defaults = {};
+  props.filter(prop => prop.kind === 'variant').forEach(prop => {
+    defaults[prop.figmaName] = prop.type === 'boolean' ? (prop.defaultValue ? 'True' : 'False') : prop.defaultValue;
+  });
+
+  const matchesDefaults = variant => Object.entries(defaults)
+    .every(([key, value]) => String(variant.values[key]).toLowerCase() === String(value).toLowerCase());
+  const defaultVariant = variants.find(matchesDefaults) || variants[0];
+
+  if (defaultVariant) {
+    api.defaultVariant = { id: defaultVariant.id, name: defaultVariant.name };
+    api.variants = variants
+      .filter(variant => variant !== defaultVariant)
+      .map(variant => ({
+        id: variant.id,
+        name: variant.name,
+        values: variant.values,
+        changes: diffStyles(defaultVariant.node, variant.node)
+      }));
+  }
+
+  return api;
+}
+
+// Attach componentApi to every component and component set in the tree
+function annotateComponentApis(node) {
+  if (!node) return node;
+
+  const api = describeComponentApi(node);
+  if (api) {
+    node.componentApi = api;
+  }
+
+  (node.children || []).forEach(annotateComponentApis);
+  return node;
+}
+
+export {
+  pascalCase,
+  propName,
+  parseVariantName,
+  buildPropsModel,
+  generatePropsInterface,
+  instancePropsToJsx,
+  flattenStyles,
+  diffStyles,
+  describeComponentApi,
+  annotateComponentApis
+};
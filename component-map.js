@@ -0,0 +1,228 @@
+// Link Figma components to the project's own components through figma.components.json,
+// so mapped instances are described as <Button variant="primary" /> with their import line
+// instead of the layers the design system draws them with
+
+import fs from 'fs';
+import path from 'path';
+import { propName } from './component-api.js';
+
+const COMPONENT_MAP_FILE = 'figma.components.json';
+
+// Find the mapping file in the directory or one of its parents, like the project config
+function findComponentMap(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    const mapPath = path.join(dir, COMPONENT_MAP_FILE);
+    if (fs.existsSync(mapPath)) return mapPath;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Read the mapping entries, or none when the project has no mapping file
+function loadComponentMap(startDir) {
+  const mapPath = findComponentMap(startDir);
+  if (!mapPath) return { path: null, components: [] };
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid component map ${mapPath}: ${error.message}`);
+  }
+
+  const components = Array.isArray(data.components) ? data.components : [];
+  components.forEach((entry, i) => {
+    if (!entry.figma || !(entry.figma.name || entry.figma.key) || !entry.import || !entry.export) {
+      throw new Error(`Invalid component map ${mapPath}: components[${i}] needs figma.name or figma.key, import and export`);
+    }
+  });
+
+  return { path: mapPath, components };
+}
+
+function saveComponentMap(mapPath, components) {
+  fs.writeFileSync(mapPath, `${JSON.stringify({ components }, null, 2)}\n`);
+}
+
+// The names an instance answers to: its main component's set and name, then its layer name
+function componentNames(node) {
+  const main = node.mainComponent;
+  return [main && main.componentSet && main.componentSet.name, main && main.name, node.name]
+    .filter(Boolean)
+    .map(name => name.trim().toLowerCase());
+}
+
+// The entry for an instance: by component key when the instance has one, otherwise by name
+function findMapping(components, node) {
+  const keys = [node.componentKey, node.componentSetKey].filter(Boolean);
+  const byKey = components.find(entry => entry.figma.key && keys.includes(entry.figma.key));
+  if (byKey) return byKey;
+
+  const names = componentNames(node);
+  return components.find(entry => entry.figma.name && names.includes(entry.figma.name.trim().toLowerCase())) || null;
+}
+
+// Copy the keys from the components and componentSets of the /nodes or /files response onto the nodes,
+// so entries written with a key keep matching after instances or their main components are renamed
+function annotateComponentKeys(node, { components = {}, componentSets = {} } = {}) {
+  if (!node) return;
+
+  if (node.type === 'INSTANCE' && components[node.componentId]) {
+    const main = components[node.componentId];
+    const set = main.componentSetId ? componentSets[main.componentSetId] : null;
+    if (main.key) node.componentKey = main.key;
+    if (set && set.key) node.componentSetKey = set.key;
+  } else if (node.type === 'COMPONENT' && components[node.id] && components[node.id].key) {
+    node.componentKey = components[node.id].key;
+  } else if (node.type === 'COMPONENT_SET' && componentSets[node.id] && componentSets[node.id].key) {
+    node.componentSetKey = componentSets[node.id].key;
+  }
+
+  (node.children || []).forEach(child => annotateComponentKeys(child, { components, componentSets }));
+}
+
+// Mark every mapped instance with the component that implements it, returning how many were found
+function annotateCodeComponents(node, components) {
+  if (!node || components.length === 0) return 0;
+
+  if (node.type === 'INSTANCE') {
+    const entry = findMapping(components, node);
+    if (entry) {
+      node.codeComponent = {
+        import: entry.import,
+        export: entry.export,
+        default: Boolean(entry.default),
+        props: entry.props || null
+      };
+      return 1;
+    }
+  }
+
+  return (node.children || []).reduce((count, child) => count + annotateCodeComponents(child, components), 0);
+}
+
+// How a Figma property is passed on: a prop name, { prop, values }, or null to leave it out;
+// undefined when the entry does not mention the property
+function propMapping(props, key) {
+  if (!props) return undefined;
+  if (Object.prototype.hasOwnProperty.call(props, key)) return props[key];
+
+  const bareKey = key.replace(/#.*$/, '');
+  return Object.prototype.hasOwnProperty.call(props, bareKey) ? props[bareKey] : undefined;
+}
+
+// A property value as the mapped component expects it, through the entry's values table
+function mappedPropValue(codeComponent, key, property) {
+  const mapping = propMapping(codeComponent.props, key);
+  const value = property.value;
+
+  if (mapping && mapping.values && Object.prototype.hasOwnProperty.call(mapping.values, String(value))) {
+    return mapping.values[String(value)];
+  }
+  if (property.type === 'VARIANT' && /^(true|false)$/i.test(value)) {
+    return /^true$/i.test(value);
+  }
+  return value;
+}
+
+// Repeated-item templates carry {item.field} placeholders that stay expressions
+const isPlaceholder = value => typeof value === 'string' && /^\{item\.[\w$]+\}$/.test(value);
+
+function jsxAttribute(name, value) {
+  if (value === true) return name;
+  if (value === false || typeof value === 'number') return `${name}={${value}}`;
+  if (isPlaceholder(value)) return `${name}=${value}`;
+  // JSX attribute strings have no backslash escapes and decode entities, so such values become expressions
+  if (/["\\&\n]/.test(String(value))) return `${name}={${JSON.stringify(String(value))}}`;
+  return `${name}="${value}"`;
+}
+
+function jsxChildren(value) {
+  if (isPlaceholder(value)) return value;
+  return /[{}<>]/.test(value) ? `{${JSON.stringify(value)}}` : value;
+}
+
+// The JSX for a mapped instance, e.g. <Button variant="primary" size="sm">Save</Button>
+// Without a props mapping every property is passed on under its camelCased name;
+// with one, only the listed properties are
+function codeComponentJsx(node) {
+  const { codeComponent } = node;
+  const attributes = [];
+  let children = null;
+
+  Object.entries(node.componentProperties || {}).forEach(([key, property]) => {
+    const mapping = propMapping(codeComponent.props, key);
+    if (property.type === 'INSTANCE_SWAP' || mapping === null || mapping === false) return;
+    if (codeComponent.props && mapping === undefined) return;
+
+    const prop = typeof mapping === 'string' ? mapping : (mapping && mapping.prop) || propName(key);
+    const value = mappedPropValue(codeComponent, key, property);
+
+    if (prop === 'children') {
+      children = String(value);
+    } else {
+      attributes.push(jsxAttribute(prop, value));
+    }
+  });
+
+  const open = `<${codeComponent.export}${attributes.length > 0 ? ` ${attributes.join(' ')}` : ''}`;
+  return children === null ? `${open} />` : `${open}>${jsxChildren(children)}</${codeComponent.export}>`;
+}
+
+function importLine(codeComponent) {
+  return codeComponent.default
+    ? `import ${codeComponent.export} from '${codeComponent.import}';`
+    : `import { ${codeComponent.export} } from '${codeComponent.import}';`;
+}
+
+// The components used in the trees, one per component set or component, with the values seen for each property
+function collectUsedComponents(roots) {
+  const used = new Map();
+
+  const visit = node => {
+    if (node.type === 'INSTANCE' || ((node.type === 'COMPONENT_SET' || node.type === 'COMPONENT') && node.componentPropertyDefinitions)) {
+      const main = node.mainComponent;
+      const name = main ? (main.componentSet ? main.componentSet.name : main.name) : node.name;
+      const id = node.componentSetKey || node.componentKey || name;
+      if (!used.has(id)) {
+        used.set(id, { name, key: node.componentSetKey || node.componentKey || null, node, count: 0, properties: new Map() });
+      }
+      const component = used.get(id);
+      if (node.type === 'INSTANCE') component.count++;
+
+      const addProperty = (key, type, values) => {
+        if (!component.properties.has(key)) component.properties.set(key, { type, values: new Set() });
+        values.forEach(value => component.properties.get(key).values.add(String(value)));
+      };
+      Object.entries(node.componentProperties || {}).forEach(([key, property]) => addProperty(key, property.type, [property.value]));
+      Object.entries(node.componentPropertyDefinitions || {}).forEach(([key, definition]) => {
+        addProperty(key, definition.type, definition.variantOptions || []);
+      });
+
+      // Component sets list their variants as children, which are not separate components
+      if (node.type !== 'INSTANCE') return;
+    }
+
+    (node.children || []).forEach(visit);
+  };
+  roots.forEach(visit);
+
+  return [...used.values()];
+}
+
+export {
+  COMPONENT_MAP_FILE,
+  loadComponentMap,
+  saveComponentMap,
+  findMapping,
+  annotateComponentKeys,
+  annotateCodeComponents,
+  codeComponentJsx,
+  mappedPropValue,
+  importLine,
+  collectUsedComponents
+};
@@ -0,0 +1,261 @@
+// Compare two extractions of the same Figma node and describe what changed,
+// as a structured change list, readable text or a prompt that applies only the delta
+
+import { flattenStyles } from './component-api.js';
+import { resolveTarget } from './prompt-targets.js';
+
+// Property path prefixes mapped to the kind of change they represent
+const CATEGORIES = [
+  [/^(fills|backgroundColor)\b/, 'color'],
+  [/^(strokes|strokeWeight)\b/, 'border'],
+  [/^layout\b/, 'spacing'],
+  [/^(size|sizeLimits|layoutSizing|layoutGrow|layoutAlign|layoutPositioning)\b/, 'size'],
+  [/^(textContent$|textSegments\b|textLines\b)/, 'text'],
+  [/^textStyle\b/, 'typography'],
+  [/^effects\b/, 'effects'],
+  [/^(cornerRadius|cornerRadii)\b/, 'radius'],
+  [/^boundVariables\b/, 'variables'],
+  [/^component(Id|Properties)\b/, 'component'],
+  [/^interactions\b/, 'interactions']
+];
+
+function categoryOf(property) {
+  const entry = CATEGORIES.find(([pattern]) => pattern.test(property));
+  return entry ? entry[1] : 'other';
+}
+
+// Exported asset paths (extract --with-assets) replace a fill's imageRef; compare such fills without
+// either on both sides, so a snapshot with assets does not differ from a live fetch by its annotations
+function withoutAssetPaths(node, other) {
+  if (!node.fills) return node;
+
+  const otherFills = other.fills || [];
+  const fills = node.fills.map((fill, i) => {
+    if (!(fill && fill.asset) && !(otherFills[i] && otherFills[i].asset)) return fill;
+    const { asset, imageRef, ...rest } = fill || {};
+    return rest;
+  });
+  return { ...node, fills };
+}
+
+// Index every node of a tree by id with its parent, position among siblings and name path
+function indexTree(node, parent = null, index = 0, out = new Map()) {
+  const elementPath = parent ? `${out.get(parent.id).path} > ${node.name}` : node.name;
+  out.set(node.id, { node, parentId: parent ? parent.id : null, index, path: elementPath });
+
+  (node.children || []).forEach((child, i) => indexTree(child, node, i, out));
+  return out;
+}
+
+// Indexes of the longest increasing subsequence, i.e. the items that kept their relative order
+function longestIncreasing(values) {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+
+  values.forEach((value, i) => {
+    for (let j = 0; j < i; j++) {
+      if (values[j] < value && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+
+  const kept = new Set();
+  let i = lengths.indexOf(Math.max(0, ...lengths));
+  while (i !== -1) {
+    kept.add(i);
+    i = previous[i];
+  }
+  return kept;
+}
+
+// Compare two extracted trees; nodes are matched by id, which is stable across versions
+function diffNodes(before, after) {
+  const changes = [];
+  const beforeIndex = indexTree(before);
+  const afterIndex = indexTree(after);
+
+  // Only the topmost removed or added node is reported, its subtree goes with it
+  beforeIndex.forEach((entry, id) => {
+    if (!afterIndex.has(id) && (!entry.parentId || afterIndex.has(entry.parentId))) {
+      changes.push({ type: 'removed', nodeId: id, element: entry.path, nodeType: entry.node.type });
+    }
+  });
+
+  afterIndex.forEach((entry, id) => {
+    if (!beforeIndex.has(id) && (!entry.parentId || beforeIndex.has(entry.parentId))) {
+      changes.push({
+        type: 'added',
+        nodeId: id,
+        element: entry.path,
+        nodeType: entry.node.type,
+        parent: entry.parentId ? afterIndex.get(entry.parentId).path : null,
+        index: entry.index,
+        node: entry.node
+      });
+    }
+  });
+
+  // Children moved to another parent
+  afterIndex.forEach((entry, id) => {
+    const previous = beforeIndex.get(id);
+    if (previous && previous.parentId !== entry.parentId) {
+      changes.push({
+        type: 'moved',
+        nodeId: id,
+        element: entry.path,
+        from: previous.parentId ? beforeIndex.get(previous.parentId).path : null,
+        to: entry.parentId ? afterIndex.get(entry.parentId).path : null,
+        index: entry.index
+      });
+    }
+  });
+
+  // Children reordered within the same parent; siblings added or removed do not count as moves
+  afterIndex.forEach((entry, id) => {
+    const siblings = (entry.node.children || [])
+      .filter(child => beforeIndex.has(child.id) && beforeIndex.get(child.id).parentId === id);
+    const kept = longestIncreasing(siblings.map(child => beforeIndex.get(child.id).index));
+
+    siblings.forEach((child, i) => {
+      if (!kept.has(i)) {
+        changes.push({
+          type: 'moved',
+          nodeId: child.id,
+          element: afterIndex.get(child.id).path,
+          from: entry.path,
+          to: entry.path,
+          index: afterIndex.get(child.id).index
+        });
+      }
+    });
+  });
+
+  afterIndex.forEach((entry, id) => {
+    const previous = beforeIndex.get(id);
+    if (!previous) return;
+
+    if (previous.node.name !== entry.node.name) {
+      changes.push({ type: 'renamed', nodeId: id, element: entry.path, from: previous.node.name, to: entry.node.name });
+    }
+
+    const beforeStyles = flattenStyles(withoutAssetPaths(previous.node, entry.node));
+    const afterStyles = flattenStyles(withoutAssetPaths(entry.node, previous.node));
+    [...new Set([...Object.keys(beforeStyles), ...Object.keys(afterStyles)])].forEach(property => {
+      if (beforeStyles[property] !== afterStyles[property]) {
+        changes.push({
+          type: 'changed',
+          nodeId: id,
+          element: entry.path,
+          category: categoryOf(property),
+          property,
+          from: beforeStyles[property],
+          to: afterStyles[property]
+        });
+      }
+    });
+  });
+
+  return changes;
+}
+
+function formatValue(value) {
+  if (value === undefined) return 'none';
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function describeChange(change) {
+  switch (change.type) {
+    case 'added':
+      return `Added ${change.element} (${change.nodeType})${change.parent ? ` as child ${change.index + 1} of ${change.parent}` : ''}`;
+    case 'removed':
+      return `Removed ${change.element} (${change.nodeType})`;
+    case 'moved':
+      return change.from === change.to
+        ? `Moved ${change.element} to position ${change.index + 1} in ${change.to}`
+        : `Moved ${change.element} from ${change.from} to ${change.to}`;
+    case 'renamed':
+      return `Renamed ${formatValue(change.from)} to ${formatValue(change.to)}`;
+    default:
+      return `${change.category} ${change.property}: ${formatValue(change.from)} -> ${formatValue(change.to)}`;
+  }
+}
+
+// Group property changes by element so each element is listed once
+function groupChanges(changes) {
+  const structural = changes.filter(change => change.type !== 'changed' && change.type !== 'renamed');
+  const elements = new Map();
+
+  changes.filter(change => change.type === 'changed' || change.type === 'renamed').forEach(change => {
+    if (!elements.has(change.nodeId)) {
+      elements.set(change.nodeId, { element: change.element, nodeId: change.nodeId, changes: [] });
+    }
+    elements.get(change.nodeId).changes.push(change);
+  });
+
+  return { structural, elements: [...elements.values()] };
+}
+
+// Human-readable change list
+function formatDiffText(changes, { name, nodeId, from, to }) {
+  let text = `${name} (${nodeId}): ${changes.length} ${changes.length === 1 ? 'change' : 'changes'} from ${from} to ${to}\n`;
+  if (changes.length === 0) return text;
+
+  const { structural, elements } = groupChanges(changes);
+
+  if (structural.length > 0) {
+    text += '\nStructure:\n';
+    structural.forEach(change => {
+      text += `  ${change.type === 'added' ? '+' : change.type === 'removed' ? '-' : '~'} ${describeChange(change)}\n`;
+    });
+  }
+
+  elements.forEach(element => {
+    text += `\n${element.element} (${element.nodeId}):\n`;
+    element.changes.forEach(change => {
+      text += `  ${describeChange(change)}\n`;
+    });
+  });
+
+  return text;
+}
+
+// Prompt asking for the existing implementation to be updated with only the delta,
+// worded for the target framework and styling (see prompt-targets.js)
+function formatDiffPrompt(changes, { name, nodeId, from, to }, figmaClient, target = resolveTarget()) {
+  const { framework, styling } = target;
+  const existing = framework.existing || `the existing ${framework.label} implementation`;
+  const existingStyles = styling.existing || `${styling.label} styles`;
+
+  if (changes.length === 0) {
+    return `The Figma design "${name}" (node ${nodeId}) has no changes from ${from} to ${to}. The existing component is up to date.\n`;
+  }
+
+  let prompt = `The Figma design "${name}" (node ${nodeId}) changed from ${from} to ${to}.\n`;
+  prompt += `Update ${existing} that implements it. Apply only the changes below and leave everything else as it is:\n\n`;
+
+  const { structural, elements } = groupChanges(changes);
+
+  structural.forEach(change => {
+    prompt += `- ${describeChange(change)}\n`;
+
+    // New elements need their full description to be built
+    if (change.type === 'added') {
+      prompt += figmaClient.generateNodeDescription(change.node, 1, { target });
+    }
+  });
+
+  elements.forEach(element => {
+    prompt += `- ${element.element}:\n`;
+    element.changes.forEach(change => {
+      prompt += `  - ${describeChange(change)}\n`;
+    });
+  });
+
+  prompt += `\nThe implementation uses ${framework.label} with ${styling.label}.\n`;
+  prompt += `Keep using the project's existing components, ${existingStyles} and design tokens where they match the new values.\n`;
+  return prompt;
+}
+
+export { diffNodes, formatDiffText, formatDiffPrompt };
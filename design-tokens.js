@@ -0,0 +1,244 @@
+// Turn a file's named Figma styles into design tokens and export them
+// as W3C Design Tokens JSON, CSS custom properties or a Tailwind theme extension
+
+// Style nodes are fetched in batches to keep the ids query string short
+const STYLE_BATCH_SIZE = 100;
+
+// Split a style name like "Brand/Primary 500" into kebab-case path segments
+function tokenPath(name) {
+  return name
+    .split('/')
+    .map(segment => segment.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+    .filter(segment => segment.length > 0);
+}
+
+function px(value) {
+  return `${Math.round(value * 100) / 100}px`;
+}
+
+function shadowToCSS(shadow) {
+  const inset = shadow.type === 'INNER_SHADOW' ? 'inset ' : '';
+  return `${inset}${px(shadow.offset.x)} ${px(shadow.offset.y)} ${px(shadow.radius)} ${px(shadow.spread || 0)} ${shadow.color}`;
+}
+
+// CSS angle of a linear gradient from its first two handles, which are relative to the node's box:
+// 0deg points up and 90deg right, like the direction from the start handle to the end handle
+function gradientAngle(handles, box) {
+  if (!handles || handles.length < 2) return 180;
+
+  const width = box && box.width ? box.width : 1;
+  const height = box && box.height ? box.height : 1;
+  const dx = (handles[1].x - handles[0].x) * width;
+  const dy = (handles[1].y - handles[0].y) * height;
+  const degrees = Math.atan2(dx, -dy) * 180 / Math.PI;
+  return Math.round(((degrees + 360) % 360) * 100) / 100;
+}
+
+function gradientToCSS(fill, box) {
+  const stops = fill.gradientStops
+    .map(stop => `${stop.color} ${Math.round(stop.position * 100)}%`)
+    .join(', ');
+  return fill.type === 'GRADIENT_RADIAL'
+    ? `radial-gradient(${stops})`
+    : `linear-gradient(${gradientAngle(fill.gradientHandlePositions, box)}deg, ${stops})`;
+}
+
+// Resolve one style to a token using the node that defines it
+function styleToToken(figma, style, node) {
+  const token = {
+    name: style.name,
+    path: tokenPath(style.name),
+    description: style.description || undefined
+  };
+
+  if (style.styleType === 'FILL') {
+    const fill = node.fills && node.fills.find(candidate => candidate.visible !== false);
+    if (!fill) return null;
+
+    const formatted = figma.formatFill(fill);
+    if (formatted.type === 'SOLID') {
+      // Fill opacity multiplies the color alpha, as it does when Figma renders the style
+      const opacity = fill.opacity !== undefined ? fill.opacity : 1;
+      const alpha = (fill.color.a !== undefined ? fill.color.a : 1) * opacity;
+      return { ...token, type: 'color', value: figma.formatColor({ ...fill.color, a: alpha }) };
+    }
+    if (formatted.type.startsWith('GRADIENT')) {
+      return { ...token, type: 'gradient', value: formatted.gradientStops, css: gradientToCSS(formatted, node.absoluteBoundingBox) };
+    }
+    return null;
+  }
+
+  if (style.styleType === 'TEXT') {
+    if (!node.style) return null;
+
+    return {
+      ...token,
+      type: 'typography',
+      value: {
+        fontFamily: node.style.fontFamily,
+        fontSize: px(node.style.fontSize),
+        fontWeight: node.style.fontWeight,
+        lineHeight: node.style.lineHeightPx ? px(node.style.lineHeightPx) : 'normal',
+        letterSpacing: px(node.style.letterSpacing || 0)
+      }
+    };
+  }
+
+  if (style.styleType === 'EFFECT') {
+    const shadows = (node.effects || [])
+      .map(effect => figma.formatEffect(effect))
+      .filter(effect => effect.visible && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'));
+    if (shadows.length === 0) return null;
+
+    return { ...token, type: 'shadow', value: shadows, css: shadows.map(shadowToCSS).join(', ') };
+  }
+
+  // Grid styles have no sensible token representation
+  return null;
+}
+
+// Read the file's styles and resolve each one to a token via its node
+async function resolveStyleTokens(figma, fileKey) {
+  const published = await figma.fileStyles(fileKey);
+  let styles = ((published.meta && published.meta.styles) || []).map(style => ({
+    nodeId: style.node_id,
+    name: style.name,
+    styleType: style.style_type,
+    description: style.description
+  }));
+
+  // Unpublished files only list their styles in the file document itself
+  if (styles.length === 0) {
+    const file = await figma.request(`/files/${fileKey}?depth=1`);
+    styles = Object.entries(file.styles || {}).map(([nodeId, style]) => ({
+      nodeId,
+      name: style.name,
+      styleType: style.styleType,
+      description: style.description
+    }));
+  }
+
+  const nodes = {};
+  const nodeIds = styles.map(style => style.nodeId);
+  for (let i = 0; i < nodeIds.length; i += STYLE_BATCH_SIZE) {
+    const batch = await figma.fileNodes(fileKey, nodeIds.slice(i, i + STYLE_BATCH_SIZE));
+    Object.entries(batch.nodes || {}).forEach(([nodeId, entry]) => {
+      if (entry) nodes[nodeId] = entry.document;
+    });
+  }
+
+  return styles
+    .filter(style => nodes[style.nodeId])
+    .map(style => styleToToken(figma, style, nodes[style.nodeId]))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Plain values and W3C token objects are leaves; any other object is a group
+function isLeaf(value) {
+  return typeof value !== 'object' || value === null || Array.isArray(value) || '$value' in value;
+}
+
+// Set a value at a nested path; a path that is both a value and a group keeps the value under defaultKey
+function setNested(target, path, value, defaultKey) {
+  let current = target;
+
+  path.slice(0, -1).forEach(segment => {
+    if (current[segment] === undefined) {
+      current[segment] = {};
+    } else if (isLeaf(current[segment])) {
+      current[segment] = { [defaultKey]: current[segment] };
+    }
+    current = current[segment];
+  });
+
+  const last = path[path.length - 1];
+  if (current[last] !== undefined && !isLeaf(current[last])) {
+    current[last][defaultKey] = value;
+  } else {
+    current[last] = value;
+  }
+}
+
+function toW3CTokens(tokens) {
+  const result = {};
+
+  tokens.forEach(token => {
+    let value = token.value;
+    if (token.type === 'shadow') {
+      const shadows = token.value.map(shadow => ({
+        color: shadow.color,
+        offsetX: px(shadow.offset.x),
+        offsetY: px(shadow.offset.y),
+        blur: px(shadow.radius),
+        spread: px(shadow.spread || 0),
+        ...(shadow.type === 'INNER_SHADOW' ? { inset: true } : {})
+      }));
+      value = shadows.length === 1 ? shadows[0] : shadows;
+    }
+
+    const entry = { $type: token.type, $value: value };
+    if (token.description) {
+      entry.$description = token.description;
+    }
+
+    // W3C groups cannot hold a value, so a clashing leaf moves under "default"
+    setNested(result, token.path, entry, 'default');
+  });
+
+  return JSON.stringify(result, null, 2);
+}
+
+function toCSSVariables(tokens) {
+  const lines = [];
+
+  tokens.forEach(token => {
+    const name = `--${token.path.join('-')}`;
+
+    if (token.type === 'color') {
+      lines.push(`  ${name}: ${token.value};`);
+    } else if (token.type === 'gradient' || token.type === 'shadow') {
+      lines.push(`  ${name}: ${token.css};`);
+    } else if (token.type === 'typography') {
+      const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = token.value;
+      lines.push(`  ${name}-font-family: "${fontFamily}";`);
+      lines.push(`  ${name}-font-size: ${fontSize};`);
+      lines.push(`  ${name}-font-weight: ${fontWeight};`);
+      lines.push(`  ${name}-line-height: ${lineHeight};`);
+      lines.push(`  ${name}-letter-spacing: ${letterSpacing};`);
+    }
+  });
+
+  return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+function toTailwindTheme(tokens) {
+  const extend = {};
+  const section = key => (extend[key] = extend[key] || {});
+
+  tokens.forEach(token => {
+    if (token.type === 'color') {
+      setNested(section('colors'), token.path, token.value, 'DEFAULT');
+    } else if (token.type === 'gradient') {
+      section('backgroundImage')[token.path.join('-')] = token.css;
+    } else if (token.type === 'shadow') {
+      section('boxShadow')[token.path.join('-')] = token.css;
+    } else if (token.type === 'typography') {
+      const { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } = token.value;
+      const name = token.path.join('-');
+      section('fontFamily')[name] = [fontFamily];
+      section('fontSize')[name] = [fontSize, {
+        lineHeight,
+        letterSpacing,
+        fontWeight: String(fontWeight)
+      }];
+    }
+  });
+
+  let snippet = '// Generated from Figma styles by claude-code-figma\n';
+  snippet += '// Merge into theme.extend in tailwind.config.js\n';
+  snippet += `export default ${JSON.stringify(extend, null, 2)};\n`;
+  return snippet;
+}
+
+export { resolveStyleTokens, toW3CTokens, toCSSVariables, toTailwindTheme, tokenPath };
@@ -0,0 +1,210 @@
+// Turn an extracted FigJam board into a graph of sections, notes and connectors,
+// and render that graph as a markdown spec outline with the flows the connectors describe
+
+// Node types that hold board content, and how the outline labels them
+const CONTENT_TYPES = {
+  STICKY: 'sticky',
+  SHAPE_WITH_TEXT: 'shape',
+  TEXT: 'text'
+};
+
+// Caps that make a connector end an arrowhead
+const ARROW_CAPS = ['ARROW_LINES', 'ARROW_EQUILATERAL', 'TRIANGLE_FILLED', 'DIAMOND_FILLED', 'CIRCLE_FILLED'];
+
+// Items whose tops are this close count as one row when reading the board left to right
+const ROW_TOLERANCE = 24;
+
+// Collect sections, content nodes and connectors from the extracted roots
+// Returns { sections, nodes, edges, names }; names covers every node so connectors to frames still read well
+function buildBoardGraph(roots) {
+  const sections = {};
+  const nodes = {};
+  const names = {};
+  const connectors = [];
+
+  const visit = (node, sectionId) => {
+    names[node.id] = node.textContent || node.name;
+
+    if (node.type === 'SECTION') {
+      sections[node.id] = { id: node.id, name: node.name, parent: sectionId, position: node.position, items: [], sections: [] };
+      if (sectionId) sections[sectionId].sections.push(node.id);
+      sectionId = node.id;
+    } else if (node.type === 'CONNECTOR' && node.connector) {
+      connectors.push(node);
+    } else if (CONTENT_TYPES[node.type] && node.textContent && node.textContent.trim()) {
+      nodes[node.id] = {
+        id: node.id,
+        type: node.type,
+        kind: node.type === 'SHAPE_WITH_TEXT' && node.shapeType ? node.shapeType.toLowerCase().replace(/_/g, ' ') : CONTENT_TYPES[node.type],
+        text: node.textContent.trim(),
+        section: sectionId,
+        position: node.position
+      };
+      if (sectionId) sections[sectionId].items.push(node.id);
+    }
+
+    (node.children || []).forEach(child => visit(child, sectionId));
+  };
+
+  roots.forEach(root => visit(root, null));
+
+  // An arrowhead only at the start means the connector points backwards
+  const edges = connectors
+    .filter(node => node.connector.start && node.connector.end)
+    .map(node => {
+      const { start, end, startCap, endCap } = node.connector;
+      const reversed = ARROW_CAPS.includes(startCap) && !ARROW_CAPS.includes(endCap);
+      return {
+        id: node.id,
+        from: reversed ? end : start,
+        to: reversed ? start : end,
+        label: node.textContent ? node.textContent.trim() : null
+      };
+    });
+
+  return { sections, nodes, edges, names };
+}
+
+// Sort items top to bottom in rows, and left to right within a row
+function readingOrder(items) {
+  const placed = items.filter(item => item.position);
+  const rows = [];
+
+  [...placed].sort((a, b) => a.position.y - b.position.y).forEach(item => {
+    const row = rows[rows.length - 1];
+    if (row && item.position.y - row[0].position.y <= ROW_TOLERANCE) {
+      row.push(item);
+    } else {
+      rows.push([item]);
+    }
+  });
+
+  return [
+    ...rows.flatMap(row => row.sort((a, b) => a.position.x - b.position.x)),
+    ...items.filter(item => !item.position)
+  ];
+}
+
+// Multi-line notes keep their lines, indented under the bullet
+function formatText(text, indent) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).join(`\n${indent}  `);
+}
+
+function describeItem(item) {
+  return item.kind === 'sticky' || item.kind === 'text' ? item.text : `[${item.kind}] ${item.text}`;
+}
+
+// Follow connectors from a start node; straight runs stay flat, forks nest one level per branch
+function renderFlow(graph, startId, label, depth, visited) {
+  const indent = '  '.repeat(depth);
+  let output = '';
+  let id = startId;
+  let edgeLabel = label;
+
+  while (id) {
+    const name = graph.nodes[id] ? graph.nodes[id].text : graph.names[id] || id;
+    const prefix = `${indent}- ${edgeLabel ? `(${edgeLabel}) ` : ''}`;
+
+    if (visited.has(id)) {
+      output += `${prefix}back to: ${formatText(name, indent)}\n`;
+      return output;
+    }
+
+    visited.add(id);
+    output += `${prefix}${formatText(name, indent)}\n`;
+
+    const outgoing = graph.edges.filter(edge => edge.from === id);
+    if (outgoing.length === 1) {
+      id = outgoing[0].to;
+      edgeLabel = outgoing[0].label;
+    } else {
+      outgoing.forEach(edge => {
+        output += `${indent}- branch${edge.label ? ` "${edge.label}"` : ''}:\n`;
+        output += renderFlow(graph, edge.to, null, depth + 1, visited);
+      });
+      id = null;
+    }
+  }
+
+  return output;
+}
+
+// Flow starts: nodes with outgoing but no incoming connectors, then one node per remaining cycle
+function findFlowStarts(graph) {
+  const endpoints = [...new Set(graph.edges.flatMap(edge => [edge.from, edge.to]))];
+  const byId = id => graph.nodes[id] || { id, position: null };
+  const starts = readingOrder(endpoints
+    .filter(id => graph.edges.some(edge => edge.from === id) && !graph.edges.some(edge => edge.to === id))
+    .map(byId)).map(item => item.id);
+
+  const reached = new Set();
+  const reach = id => {
+    if (reached.has(id)) return;
+    reached.add(id);
+    graph.edges.filter(edge => edge.from === id).forEach(edge => reach(edge.to));
+  };
+  starts.forEach(reach);
+
+  readingOrder(endpoints.map(byId)).forEach(item => {
+    if (!reached.has(item.id)) {
+      starts.push(item.id);
+      reach(item.id);
+    }
+  });
+
+  return starts;
+}
+
+// Markdown outline of a board: one heading per section, its notes in reading order, then the flows starting there
+function toSpecMarkdown(graph, title) {
+  const flowsBySection = new Map();
+  const visited = new Set();
+
+  findFlowStarts(graph).forEach(id => {
+    const section = graph.nodes[id] ? graph.nodes[id].section : null;
+    if (!flowsBySection.has(section)) flowsBySection.set(section, []);
+    flowsBySection.get(section).push(renderFlow(graph, id, null, 0, visited));
+  });
+
+  const renderItems = ids => readingOrder(ids.map(id => graph.nodes[id]))
+    .map(item => `- ${formatText(describeItem(item), '')}\n`)
+    .join('');
+
+  const renderFlows = sectionId => {
+    const flows = flowsBySection.get(sectionId);
+    if (!flows) return '';
+    return `\n**Flows**\n\n${flows.map((flow, i) => `Flow ${i + 1}:\n${flow}`).join('\n')}`;
+  };
+
+  const renderSection = (section, level) => {
+    let output = `\n${'#'.repeat(Math.min(level, 6))} ${section.name}\n\n`;
+    output += renderItems(section.items);
+    output += renderFlows(section.id);
+    readingOrder(section.sections.map(id => graph.sections[id])).forEach(child => {
+      output += renderSection(child, level + 1);
+    });
+    return output;
+  };
+
+  let markdown = `# ${title}\n`;
+
+  readingOrder(Object.values(graph.sections).filter(section => !section.parent)).forEach(section => {
+    markdown += renderSection(section, 2);
+  });
+
+  // Notes and flows outside any section
+  const loose = Object.values(graph.nodes).filter(node => !node.section).map(node => node.id);
+  if (loose.length > 0 || flowsBySection.has(null)) {
+    markdown += `\n## ${Object.keys(graph.sections).length > 0 ? 'Outside sections' : 'Notes'}\n\n`;
+    markdown += renderItems(loose);
+    markdown += renderFlows(null);
+  }
+
+  if (Object.keys(graph.sections).length === 0 && Object.keys(graph.nodes).length === 0) {
+    markdown += '\nNo sections, stickies, shapes or connectors found. The spec format is meant for FigJam boards.\n';
+  }
+
+  return markdown;
+}
+
+export { buildBoardGraph, toSpecMarkdown };
@@ -1,10 +1,41 @@
 import fetch from 'node-fetch';
+import { refreshAccessToken } from './oauth.js';
+import { renderMarkdown, isRichText } from './rich-text.js';
+import { resolveLayout } from './auto-layout.js';
+import { groupRepeats } from './repeated-structure.js';
+import { codeComponentJsx, importLine } from './component-map.js';
+import { resolveTarget, formatLength, formatCss } from './prompt-targets.js';
+
+// Endpoints whose responses are tied to a file version and can be cached on disk
+const CACHEABLE_ENDPOINT = /^\/files\/([^/?]+)(?:\/nodes|\/styles|\/variables\/local)?(?:\?|$)/;
+
+// Response statuses that indicate throttling or a transient server problem
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// FigJam node types whose text lives in their characters field
+const FIGJAM_TEXT_TYPES = ['STICKY', 'SHAPE_WITH_TEXT', 'CONNECTOR'];
 
 class FigmaClient {
-  constructor(personalAccessToken, verbose = false) {
+  constructor(personalAccessToken, verbose = false, options = {}) {
     this.personalAccessToken = personalAccessToken;
+    this.oauth = options.oauth || null; // OAuth credentials, used instead of the personal access token
+    this.onTokenRefresh = options.onTokenRefresh || null; // Called with the new credentials after a refresh
+    this.refreshing = null;
     this.baseURL = 'https://api.figma.com/v1';
     this.verbose = verbose;
+    this.cache = options.cache || null; // ResponseCache instance, or null to disable caching
+    this.offline = options.offline === true;
+    this.fileVersions = {};
+
+    // Retry and throttling settings
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    this.retryBaseDelay = options.retryBaseDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.activeRequests = 0;
+    this.pendingRequests = [];
   }
 
   // Helper for conditional logging based on verbose flag
@@ -14,24 +45,212 @@ class FigmaClient {
     }
   }
 
-  async request(endpoint) {
+  async request(endpoint, { useCache = true } = {}) {
+    const match = useCache && this.cache ? endpoint.match(CACHEABLE_ENDPOINT) : null;
+
+    if (match) {
+      return this.cachedRequest(endpoint, match[1]);
+    }
+
+    if (this.offline) {
+      throw new Error(`Offline mode: ${endpoint} cannot be served from the cache`);
+    }
+
+    return this.fetchEndpoint(endpoint);
+  }
+
+  // Serve a file endpoint from the cache while the file's version is unchanged
+  async cachedRequest(endpoint, fileKey) {
+    const entry = this.cache.get(endpoint);
+
+    if (this.offline) {
+      if (!entry) {
+        throw new Error(`Offline mode: no cached response for ${endpoint}. Run once without --offline to populate the cache.`);
+      }
+      this.log(`Serving ${endpoint} from cache (offline, version ${entry.version})`);
+      return entry.data;
+    }
+
+    // A response for a pinned version never changes
+    if (entry && /[?&]version=/.test(endpoint)) {
+      this.log(`Serving ${endpoint} from cache (pinned version)`);
+      return entry.data;
+    }
+
+    if (entry) {
+      const current = await this.fileVersion(fileKey);
+
+      if (entry.version === current.version && entry.lastModified === current.lastModified) {
+        this.log(`Serving ${endpoint} from cache (version ${entry.version})`);
+        return entry.data;
+      }
+
+      this.log(`Cached response for ${endpoint} is stale (version ${entry.version}, current ${current.version})`);
+    }
+
+    const data = await this.fetchEndpoint(endpoint);
+
+    // Responses such as /variables/local carry no version of their own, so they are stored under the file's
+    const version = data.version ? data : await this.fileVersion(fileKey);
+    this.cache.set(endpoint, data, {
+      fileKey,
+      version: version.version,
+      lastModified: version.lastModified
+    });
+
+    return data;
+  }
+
+  // Look up the current version of a file, at most once per client unless options.refresh is set
+  async fileVersion(fileKey, options = {}) {
+    if (!this.fileVersions[fileKey] || options.refresh) {
+      this.fileVersions[fileKey] = this.request(`/files/${fileKey}?depth=1`, { useCache: false })
+        .then(({ version, lastModified }) => ({ version, lastModified }));
+    }
+
+    return this.fileVersions[fileKey];
+  }
+
+  authHeaders() {
+    return this.oauth
+      ? { 'Authorization': `Bearer ${this.oauth.accessToken}` }
+      : { 'X-Figma-Token': this.personalAccessToken };
+  }
+
+  // Refresh the OAuth access token, sharing one refresh between concurrent requests
+  async refreshToken() {
+    if (!this.refreshing) {
+      this.log('Refreshing OAuth access token');
+      this.refreshing = refreshAccessToken(this.oauth)
+        .then(credentials => {
+          this.oauth = credentials;
+          if (this.onTokenRefresh) {
+            this.onTokenRefresh(credentials);
+          }
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  // Refresh ahead of time when the access token expires within a minute
+  async ensureFreshToken() {
+    if (this.oauth && this.oauth.expiresAt && this.oauth.expiresAt - 60 * 1000 < Date.now()) {
+      await this.refreshToken();
+    }
+  }
+
+  // Wait for a free request slot so no more than maxConcurrent requests are in flight
+  async acquireSlot() {
+    if (this.activeRequests < this.maxConcurrent) {
+      this.activeRequests++;
+      return;
+    }
+
+    await new Promise(resolve => this.pendingRequests.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.pendingRequests.shift();
+
+    // Hand the slot straight to the next waiting request, if any
+    if (next) {
+      next();
+    } else {
+      this.activeRequests--;
+    }
+  }
+
+  // Delay before the next attempt: Retry-After when the API sends it, exponential backoff otherwise
+  retryDelay(response, attempt) {
+    const retryAfter = response && response.headers.get('retry-after');
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!Number.isNaN(seconds)) {
+        return seconds * 1000;
+      }
+
+      const date = Date.parse(retryAfter);
+      if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    const backoff = this.retryBaseDelay * 2 ** attempt;
+    return Math.min(this.maxRetryDelay, backoff + Math.random() * this.retryBaseDelay);
+  }
+
+  async fetchEndpoint(endpoint) {
     const url = `${this.baseURL}${endpoint}`;
-    this.log(`Making API request to: ${url}`);
-    
-    try {
-      const response = await fetch(url, {
-        headers: {
-          'X-Figma-Token': this.personalAccessToken
+
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let networkError;
+
+      await this.ensureFreshToken();
+      await this.acquireSlot();
+      try {
+        this.log(`Making API request to: ${url}${attempt > 0 ? ` (retry ${attempt}/${this.maxRetries})` : ''}`);
+        response = await fetch(url, {
+          headers: this.authHeaders()
+        });
+      } catch (error) {
+        networkError = error;
+      } finally {
+        this.releaseSlot();
+      }
+
+      if (networkError) {
+        if (attempt >= this.maxRetries) {
+          throw new Error(`Network error: ${networkError.message}`);
         }
-      });
+
+        const delay = this.retryDelay(null, attempt);
+        this.log(`Network error: ${networkError.message}. Retrying in ${Math.round(delay)}ms...`);
+        await sleep(delay);
+        continue;
+      }
 
       this.log(`Response status: ${response.status} ${response.statusText}`);
-      
+
+      // An access token revoked or expired early gets one refresh before giving up
+      if (response.status === 401 && this.oauth && this.oauth.refreshToken && !refreshed) {
+        refreshed = true;
+        await this.refreshToken();
+        attempt--;
+        continue;
+      }
+
+      if (RETRYABLE_STATUSES.includes(response.status) && attempt < this.maxRetries) {
+        const delay = this.retryDelay(response, attempt);
+
+        if (delay <= this.maxRetryDelay) {
+          this.log(`Figma API returned ${response.status}. Retrying in ${Math.round(delay)}ms...`);
+          await sleep(delay);
+          continue;
+        }
+
+        this.log(`Retry-After of ${Math.round(delay / 1000)}s exceeds the retry limit, giving up`);
+      }
+
+      return this.parseResponse(response);
+    }
+  }
+
+  // Turn a response into JSON, or a Figma API Error for non-OK statuses
+  async parseResponse(response) {
+    try {
       if (!response.ok) {
         let errorText;
         try {
           const error = await response.json();
-          errorText = `${error.status} ${error.err || response.statusText}`;
+          errorText = `${error.status || response.status} ${error.err || response.statusText}`;
         } catch (e) {
           errorText = `${response.status} ${response.statusText}`;
         }
@@ -47,19 +266,295 @@ class FigmaClient {
     }
   }
 
-  async file(fileKey) {
-    return this.request(`/files/${fileKey}`);
+  // The user the token belongs to
+  async me() {
+    return this.request('/me');
   }
 
-  async fileNodes(fileKey, nodeIds) {
+  // Pass options.version to read the file as it was at that version
+  async file(fileKey, options = {}) {
+    return this.request(`/files/${fileKey}${options.version ? `?version=${options.version}` : ''}`);
+  }
+
+  async fileNodes(fileKey, nodeIds, options = {}) {
     const nodeIdsParam = Array.isArray(nodeIds) ? nodeIds.join(',') : nodeIds;
-    return this.request(`/files/${fileKey}/nodes?ids=${nodeIdsParam}`);
+    const query = [
+      options.version ? `&version=${options.version}` : '',
+      options.depth !== undefined ? `&depth=${options.depth}` : ''
+    ].join('');
+    return this.request(`/files/${fileKey}/nodes?ids=${nodeIdsParam}${query}`);
+  }
+
+  // Version history of a file, newest first
+  async versions(fileKey) {
+    return this.request(`/files/${fileKey}/versions`);
+  }
+
+  // Published styles of a file (colors, text styles, effects and grids)
+  async fileStyles(fileKey) {
+    return this.request(`/files/${fileKey}/styles`);
+  }
+
+  // Local variables and variable collections of a file
+  async localVariables(fileKey) {
+    return this.request(`/files/${fileKey}/variables/local`);
+  }
+
+  // Load a file's variables as an index for extractNodeProperties
+  // The variables API needs an Enterprise plan, so failures only disable the annotations
+  async loadVariables(fileKey) {
+    try {
+      const { meta } = await this.localVariables(fileKey);
+      return {
+        variables: (meta && meta.variables) || {},
+        collections: (meta && meta.variableCollections) || {}
+      };
+    } catch (error) {
+      this.log(`Variables unavailable for ${fileKey}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Format a raw variable value, following aliases to the variable they point at
+  formatVariableValue(value, resolvedType, variableIndex, depth = 0) {
+    if (value && value.type === 'VARIABLE_ALIAS') {
+      const target = variableIndex.variables[value.id];
+      if (!target || depth > 10) {
+        return { alias: value.id };
+      }
+
+      const collection = variableIndex.collections[target.variableCollectionId];
+      const modeId = collection ? collection.defaultModeId : Object.keys(target.valuesByMode)[0];
+      return {
+        alias: target.name,
+        value: this.formatVariableValue(target.valuesByMode[modeId], target.resolvedType, variableIndex, depth + 1)
+      };
+    }
+
+    if (resolvedType === 'COLOR') {
+      return this.formatColor(value);
+    }
+
+    return value;
+  }
+
+  // Describe a bound variable with its collection and the value it takes in every mode
+  describeVariable(alias, variableIndex) {
+    const variable = variableIndex && variableIndex.variables[alias.id];
+    if (!variable) {
+      // Variables from libraries are not part of the file's local variables
+      return { id: alias.id };
+    }
+
+    const collection = variableIndex.collections[variable.variableCollectionId];
+    const modes = collection ? collection.modes : [];
+    const values = {};
+
+    modes.forEach(mode => {
+      if (variable.valuesByMode[mode.modeId] !== undefined) {
+        values[mode.name] = this.formatVariableValue(variable.valuesByMode[mode.modeId], variable.resolvedType, variableIndex);
+      }
+    });
+
+    return {
+      id: variable.id,
+      name: variable.name,
+      collection: collection ? collection.name : null,
+      type: variable.resolvedType,
+      values
+    };
+  }
+
+  // Map every variable-bound property of a node, e.g. "fills[0]" or "itemSpacing", to its variable
+  extractBoundVariables(node, variableIndex) {
+    const bindings = {};
+
+    Object.entries(node.boundVariables || {}).forEach(([property, binding]) => {
+      if (Array.isArray(binding)) {
+        binding.forEach((alias, i) => {
+          if (alias && alias.id) bindings[`${property}[${i}]`] = this.describeVariable(alias, variableIndex);
+        });
+      } else if (binding && binding.id) {
+        bindings[property] = this.describeVariable(binding, variableIndex);
+      }
+    });
+
+    // Paints carry their own color binding when the node-level map does not list them
+    ['fills', 'strokes'].forEach(property => {
+      (node[property] || []).forEach((paint, i) => {
+        const key = `${property}[${i}]`;
+        if (!bindings[key] && paint.boundVariables && paint.boundVariables.color) {
+          bindings[key] = this.describeVariable(paint.boundVariables.color, variableIndex);
+        }
+      });
+    });
+
+    return bindings;
   }
 
   async comments(fileKey) {
     return this.request(`/files/${fileKey}/comments`);
   }
 
+  // Load a file's comments as threads, indexed by the node they are pinned to
+  // Comments are optional context, so failures only disable the annotations
+  async loadComments(fileKey, options = {}) {
+    const { includeResolved = false } = options;
+    
+    let comments;
+    try {
+      ({ comments } = await this.comments(fileKey));
+    } catch (error) {
+      this.log(`Comments unavailable for ${fileKey}: ${error.message}`);
+      return null;
+    }
+    
+    const format = comment => ({
+      id: comment.id,
+      author: comment.user ? comment.user.handle : null,
+      message: comment.message,
+      createdAt: comment.created_at
+    });
+    
+    // Top-level comments carry the pin, replies point at them through parent_id
+    const threads = new Map();
+    (comments || []).filter(comment => !comment.parent_id).forEach(comment => {
+      threads.set(comment.id, {
+        ...format(comment),
+        nodeId: (comment.client_meta && comment.client_meta.node_id) || null,
+        resolved: Boolean(comment.resolved_at),
+        replies: []
+      });
+    });
+    (comments || []).filter(comment => comment.parent_id && threads.has(comment.parent_id)).forEach(comment => {
+      threads.get(comment.parent_id).replies.push(format(comment));
+    });
+    
+    const byNode = {};
+    [...threads.values()]
+      .filter(thread => includeResolved || !thread.resolved)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .forEach(thread => {
+        thread.replies.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        const key = thread.nodeId || '';
+        (byNode[key] = byNode[key] || []).push(thread);
+      });
+    
+    return byNode;
+  }
+
+  // Name the destinations of prototype interactions in extracted trees
+  // Destinations outside the trees (other screens, variants of a set) are looked up in one request
+  async resolveInteractionDestinations(fileKey, roots, options = {}) {
+    const names = {};
+    const actions = [];
+    const walk = node => {
+      names[node.id] = node.name;
+      (node.interactions || []).forEach(interaction => {
+        actions.push(...interaction.actions.filter(action => action.destinationId));
+      });
+      (node.children || []).forEach(walk);
+    };
+    roots.forEach(walk);
+    
+    const missing = [...new Set(actions.map(action => action.destinationId))].filter(id => !names[id]);
+    if (missing.length > 0) {
+      try {
+        const { nodes } = await this.fileNodes(fileKey, missing, { version: options.version, depth: 1 });
+        Object.entries(nodes || {}).forEach(([id, entry]) => {
+          if (entry && entry.document) names[id] = entry.document.name;
+        });
+      } catch (error) {
+        this.log(`Interaction destinations unavailable for ${fileKey}: ${error.message}`);
+      }
+    }
+    
+    actions.forEach(action => {
+      action.destinationName = names[action.destinationId] || null;
+    });
+  }
+
+  // Published component and component set metadata from the team library
+  async component(key) {
+    return this.request(`/components/${key}`);
+  }
+
+  async componentSet(key) {
+    return this.request(`/component_sets/${key}`);
+  }
+
+  // Annotate instances with their main component and component set, from the components and componentSets
+  // maps of the file or nodes response; components from a team library are looked up in the library
+  async resolveMainComponents(roots, { components = {}, componentSets = {} } = {}) {
+    const instances = [];
+    const walk = node => {
+      if (node.type === 'INSTANCE' && components[node.componentId]) instances.push(node);
+      (node.children || []).forEach(walk);
+    };
+    roots.forEach(walk);
+    
+    // One lookup per library component, component set and library file, shared between instances
+    const published = new Map();
+    const libraries = new Map();
+    const publishedMeta = (kind, key) => {
+      if (!published.has(`${kind}:${key}`)) {
+        const lookup = kind === 'set' ? this.componentSet(key) : this.component(key);
+        published.set(`${kind}:${key}`, lookup
+          .then(response => response.meta || null)
+          .catch(error => {
+            this.log(`Library ${kind === 'set' ? 'component set' : 'component'} ${key} unavailable: ${error.message}`);
+            return null;
+          }));
+      }
+      return published.get(`${kind}:${key}`);
+    };
+    const libraryName = fileKey => {
+      if (!libraries.has(fileKey)) {
+        libraries.set(fileKey, this.request(`/files/${fileKey}?depth=1`)
+          .then(file => file.name || null)
+          .catch(error => {
+            this.log(`Library file ${fileKey} unavailable: ${error.message}`);
+            return null;
+          }));
+      }
+      return libraries.get(fileKey);
+    };
+    const links = item => ((item && item.documentationLinks) || []).map(link => link.uri).filter(Boolean);
+    
+    await Promise.all(instances.map(async node => {
+      const main = components[node.componentId];
+      const set = main.componentSetId ? componentSets[main.componentSetId] : null;
+      
+      // Library components and sets come with their published metadata and the file they live in
+      const [mainMeta, setMeta] = await Promise.all([
+        main.remote && main.key ? publishedMeta('component', main.key) : null,
+        set && set.remote && set.key ? publishedMeta('set', set.key) : null
+      ]);
+      const libraryKey = (mainMeta && mainMeta.file_key) || (setMeta && setMeta.file_key);
+      const library = libraryKey ? { fileKey: libraryKey, name: await libraryName(libraryKey) } : null;
+      
+      node.mainComponent = {
+        name: main.name,
+        key: main.key || null,
+        description: main.description || (mainMeta && mainMeta.description) || null,
+        documentationLinks: links(main),
+        componentSet: set ? {
+          name: set.name || (setMeta && setMeta.name),
+          key: set.key || null,
+          description: set.description || (setMeta && setMeta.description) || null,
+          documentationLinks: links(set)
+        } : null,
+        remote: Boolean(main.remote),
+        library
+      };
+    }));
+  }
+
+  // Download URLs for the images used in image fills, keyed by imageRef
+  async imageFills(fileKey) {
+    return this.request(`/files/${fileKey}/images`);
+  }
+
   async images(fileKey, options = {}) {
     const { ids, scale = 1, format = 'png' } = options;
     const idsParam = Array.isArray(ids) ? ids.join(',') : ids;
@@ -88,7 +583,8 @@ class FigmaClient {
   }
 
   // Extract all relevant properties from a node
-  extractNodeProperties(node) {
+  // The context carries file-level lookups such as the variable index from loadVariables
+  extractNodeProperties(node, context = {}) {
     if (!node) return null;
     
     // Base properties that all nodes have
@@ -189,6 +685,49 @@ class FigmaClient {
       if (node.counterAxisAlignItems !== undefined) {
         properties.layout.counterAxisAlignItems = node.counterAxisAlignItems;
       }
+      
+      // Gap between wrapped rows, and how the rows are distributed
+      if (node.counterAxisSpacing !== undefined) {
+        properties.layout.counterAxisSpacing = node.counterAxisSpacing;
+      }
+      
+      if (node.counterAxisAlignContent !== undefined) {
+        properties.layout.counterAxisAlignContent = node.counterAxisAlignContent; // "AUTO" or "SPACE_BETWEEN"
+      }
+      
+      // First child drawn on top instead of the last one
+      if (node.itemReverseZIndex) {
+        properties.layout.itemReverseZIndex = true;
+      }
+    }
+    
+    // How the node sizes itself inside an auto-layout parent
+    if (node.layoutSizingHorizontal || node.layoutSizingVertical) {
+      properties.layoutSizing = {
+        horizontal: node.layoutSizingHorizontal, // "FIXED", "HUG" or "FILL"
+        vertical: node.layoutSizingVertical
+      };
+    }
+    
+    if (node.layoutGrow) {
+      properties.layoutGrow = node.layoutGrow;
+    }
+    
+    if (node.layoutAlign && node.layoutAlign !== 'INHERIT') {
+      properties.layoutAlign = node.layoutAlign; // "STRETCH", or a per-child "MIN", "CENTER", "MAX"
+    }
+    
+    if (node.layoutPositioning === 'ABSOLUTE') {
+      properties.layoutPositioning = 'ABSOLUTE';
+    }
+    
+    // Min and max sizes of auto-layout frames and their children
+    const sizeLimits = {};
+    ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].forEach(key => {
+      if (node[key] !== undefined && node[key] !== null) sizeLimits[key] = node[key];
+    });
+    if (Object.keys(sizeLimits).length > 0) {
+      properties.sizeLimits = sizeLimits;
     }
     
     // Text-specific properties
@@ -207,7 +746,78 @@ class FigmaClient {
           textCase: node.style.textCase, // "UPPER", "LOWER", "TITLE", "ORIGINAL"
           textDecoration: node.style.textDecoration, // "NONE", "UNDERLINE", "STRIKETHROUGH"
         };
+        
+        if (node.style.italic) {
+          properties.textStyle.italic = true;
+        }
+        
+        if (node.style.hyperlink) {
+          properties.textStyle.hyperlink = this.formatHyperlink(node.style.hyperlink);
+        }
+        
+        if (node.style.paragraphSpacing) {
+          properties.textStyle.paragraphSpacing = node.style.paragraphSpacing;
+        }
+        
+        if (node.style.paragraphIndent) {
+          properties.textStyle.paragraphIndent = node.style.paragraphIndent;
+        }
+        
+        if (node.style.listSpacing) {
+          properties.textStyle.listSpacing = node.style.listSpacing;
+        }
+        
+        if (node.style.textAutoResize) {
+          properties.textStyle.autoResize = node.style.textAutoResize; // "NONE", "HEIGHT", "WIDTH_AND_HEIGHT", "TRUNCATE"
+        }
+        
+        // Truncation with an ellipsis, after maxLines lines when set
+        if (node.style.textTruncation === 'ENDING' || node.style.textAutoResize === 'TRUNCATE') {
+          properties.textStyle.truncate = true;
+        }
+        
+        if (node.style.maxLines) {
+          properties.textStyle.maxLines = node.style.maxLines;
+        }
+        
+        // OpenType features switched on or off, e.g. { SUPS: 1, LIGA: 0 }
+        if (node.style.opentypeFlags && Object.keys(node.style.opentypeFlags).length > 0) {
+          properties.textStyle.openTypeFeatures = node.style.opentypeFlags;
+        }
+      }
+      
+      const segments = this.extractTextSegments(node);
+      if (segments.length > 1 || (segments.length === 1 && Object.keys(segments[0].style).length > 0)) {
+        properties.textSegments = segments;
       }
+      
+      // List type and indentation per line, only kept when the text has lists or indented lines
+      if ((node.lineTypes || []).some(type => type !== 'NONE') || (node.lineIndentations || []).some(Boolean)) {
+        properties.textLines = (node.characters || '').split('\n').map((line, i) => ({
+          type: (node.lineTypes && node.lineTypes[i]) || 'NONE', // "NONE", "ORDERED", "UNORDERED"
+          indentation: (node.lineIndentations && node.lineIndentations[i]) || 0
+        }));
+      }
+    }
+
+    // FigJam nodes that carry their own text
+    if (FIGJAM_TEXT_TYPES.includes(node.type) && node.characters) {
+      properties.textContent = node.characters;
+    }
+
+    if (node.type === 'SHAPE_WITH_TEXT' && node.shapeType) {
+      properties.shapeType = node.shapeType; // "SQUARE", "ELLIPSE", "DIAMOND", ...
+    }
+
+    // FigJam connectors, attached to nodes or left dangling at a position
+    if (node.type === 'CONNECTOR') {
+      properties.connector = {
+        start: (node.connectorStart && node.connectorStart.endpointNodeId) || null,
+        end: (node.connectorEnd && node.connectorEnd.endpointNodeId) || null,
+        lineType: node.connectorLineType, // "ELBOWED", "STRAIGHT", "CURVED"
+        startCap: node.connectorStartStrokeCap || 'NONE',
+        endCap: node.connectorEndStrokeCap || 'NONE'
+      };
     }
     
     // Component instance properties
@@ -219,20 +829,50 @@ class FigmaClient {
       }
     }
     
+    // Component property definitions (variant axes, booleans, text and instance swaps)
+    if ((node.type === 'COMPONENT_SET' || node.type === 'COMPONENT') && node.componentPropertyDefinitions) {
+      properties.componentPropertyDefinitions = node.componentPropertyDefinitions;
+    }
+    
+    // Prototype interactions (hover states, navigation, overlays, variant swaps)
+    const interactions = this.extractInteractions(node);
+    if (interactions.length > 0) {
+      properties.interactions = interactions;
+    }
+    
     // Constraints
     if (node.constraints) {
       properties.constraints = node.constraints;
     }
     
+    // Properties bound to Figma variables (design tokens)
+    const boundVariables = this.extractBoundVariables(node, context.variables);
+    if (Object.keys(boundVariables).length > 0) {
+      properties.boundVariables = boundVariables;
+    }
+    
+    // Designer comments pinned to this node
+    if (context.comments && context.comments[node.id]) {
+      properties.comments = context.comments[node.id];
+    }
+    
     // Children (recursive, only visible ones)
     if (node.children && node.children.length > 0) {
       // Filter out invisible children
       const visibleChildren = node.children.filter(child => child.visible !== false);
       if (visibleChildren.length > 0) {
-        properties.children = visibleChildren.map(child => this.extractNodeProperties(child));
+        properties.children = visibleChildren.map(child => this.extractNodeProperties(child, context));
+        
+        // Sizing inside this node's auto-layout replaces what each child resolved on its own
+        properties.children.forEach((child, i) => {
+          child.cssLayout = resolveLayout(child, properties, i);
+        });
       }
     }
     
+    // Resolved as a standalone node; the parent, if extracted, refines it
+    properties.cssLayout = resolveLayout(properties);
+    
     return properties;
   }
 
@@ -313,6 +953,157 @@ class FigmaClient {
     return result;
   }
 
+  // Split a text node into runs of characters sharing a style override
+  // Each segment's style only lists what differs from the node's base style
+  extractTextSegments(node) {
+    const text = node.characters || '';
+    const overrides = node.characterStyleOverrides || [];
+    const table = node.styleOverrideTable || {};
+    
+    const segments = [];
+    for (let i = 0; i < text.length; i++) {
+      // The overrides array stops at the last overridden character, the rest use the base style
+      const id = overrides[i] || 0;
+      const last = segments[segments.length - 1];
+      if (last && last.id === id) {
+        last.text += text[i];
+      } else {
+        segments.push({ id, text: text[i] });
+      }
+    }
+    
+    return segments.map(segment => ({
+      text: segment.text,
+      style: segment.id && table[segment.id] ? this.formatTextOverride(table[segment.id]) : {}
+    }));
+  }
+
+  formatTextOverride(style) {
+    const result = {};
+    ['fontFamily', 'fontWeight', 'fontSize', 'letterSpacing', 'textCase', 'textDecoration'].forEach(key => {
+      if (style[key] !== undefined) result[key] = style[key];
+    });
+    
+    if (style.italic !== undefined) {
+      result.italic = style.italic;
+    }
+    
+    if (style.lineHeightPx !== undefined) {
+      result.lineHeight = style.lineHeightPx;
+    }
+    
+    const solidFill = (style.fills || []).find(fill => fill.type === 'SOLID' && fill.visible !== false);
+    if (solidFill) {
+      result.color = this.formatColor({ ...solidFill.color, a: solidFill.opacity !== undefined ? solidFill.opacity : solidFill.color.a });
+    }
+    
+    if (style.hyperlink) {
+      result.hyperlink = this.formatHyperlink(style.hyperlink);
+    }
+    
+    if (style.opentypeFlags && Object.keys(style.opentypeFlags).length > 0) {
+      result.openTypeFeatures = style.opentypeFlags;
+    }
+    
+    return result;
+  }
+
+  // Links point at a URL or at another node of the file
+  formatHyperlink(hyperlink) {
+    return hyperlink.type === 'NODE' ? { nodeId: hyperlink.nodeID } : { url: hyperlink.url };
+  }
+
+  // Prototype interactions: what triggers them, what they do and how they animate
+  // Files saved before interactions existed only carry a single click-through transition
+  extractInteractions(node) {
+    if (node.interactions && node.interactions.length > 0) {
+      return node.interactions.map(interaction => ({
+        trigger: this.formatTrigger(interaction.trigger || {}),
+        actions: (interaction.actions || []).filter(Boolean).map(action => this.formatAction(action))
+      }));
+    }
+    
+    if (node.transitionNodeID) {
+      return [{
+        trigger: { type: 'ON_CLICK' },
+        actions: [{
+          type: 'NAVIGATE',
+          destinationId: node.transitionNodeID,
+          transition: node.transitionDuration ? {
+            type: 'DISSOLVE',
+            duration: Math.round(node.transitionDuration),
+            easing: node.transitionEasing
+          } : null
+        }]
+      }];
+    }
+    
+    return [];
+  }
+
+  formatTrigger(trigger) {
+    const result = { type: trigger.type };
+    
+    // AFTER_TIMEOUT waits `timeout` seconds, mouse triggers may wait `delay` seconds
+    if (trigger.timeout !== undefined) {
+      result.delay = Math.round(trigger.timeout * 1000);
+    } else if (trigger.delay) {
+      result.delay = Math.round(trigger.delay * 1000);
+    }
+    
+    if (trigger.keyCodes) {
+      result.keyCodes = trigger.keyCodes;
+    }
+    
+    return result;
+  }
+
+  formatAction(action) {
+    if (action.type === 'URL') {
+      return { type: 'URL', url: action.url, openInNewTab: action.openInNewTab !== false };
+    }
+    
+    if (action.type !== 'NODE') {
+      return { type: action.type }; // "BACK", "CLOSE", "SET_VARIABLE", ...
+    }
+    
+    const result = {
+      type: action.navigation, // "NAVIGATE", "SWAP", "OVERLAY", "SCROLL_TO", "CHANGE_TO"
+      destinationId: action.destinationId,
+      transition: action.transition ? this.formatTransition(action.transition) : null
+    };
+    
+    if (action.navigation === 'OVERLAY' && action.overlayRelativePosition) {
+      result.overlayPosition = action.overlayRelativePosition;
+    }
+    
+    if (action.resetScrollPosition !== undefined) {
+      result.resetScrollPosition = action.resetScrollPosition;
+    }
+    
+    return result;
+  }
+
+  // Durations are in milliseconds; custom curves become CSS cubic-bezier() values
+  formatTransition(transition) {
+    const easing = transition.easing || {};
+    const bezier = easing.easingFunctionCubicBezier;
+    
+    const result = {
+      type: transition.type, // "DISSOLVE", "SMART_ANIMATE", "MOVE_IN", "SLIDE_OUT", ...
+      duration: Math.round(transition.duration || 0),
+      easing: easing.type === 'CUSTOM_CUBIC_BEZIER' && bezier
+        ? `cubic-bezier(${bezier.x1}, ${bezier.y1}, ${bezier.x2}, ${bezier.y2})`
+        : easing.type
+    };
+    
+    if (transition.direction) {
+      result.direction = transition.direction;
+    }
+    
+    return result;
+  }
+
   extractPadding(node) {
     const padding = {};
     
@@ -325,23 +1116,391 @@ class FigmaClient {
     return Object.keys(padding).length > 0 ? padding : null;
   }
 
-  // Generate AI-optimized description of a node and its properties
-  generateAIPrompt(node) {
-    if (!node) return '';
+  // Generate AI-optimized description of one or more nodes and their properties
+  // options.maxDepth summarizes layers nested deeper than that, options.collapseInstances describes
+  // the layers of each component only at its first instance, and options.parts lists layers described in separate files
+  // options.target (see prompt-targets.js) picks the framework and styling the prompt asks for
+  generateAIPrompt(nodes, options = {}) {
+    const roots = (Array.isArray(nodes) ? nodes : [nodes]).filter(Boolean);
+    if (roots.length === 0) return '';
+    
+    options = this.descriptionOptions(roots, options);
+    const { framework, styling } = options.target;
+    
+    let prompt;
+    if (roots.length === 1) {
+      prompt = `Your task is to create ${framework.artifact} that matches the following Figma design:\n\n`;
+      prompt += this.generateNodeDescription(roots[0], 0, options);
+    } else {
+      prompt = `Your task is to create ${framework.artifacts} that match the following ${roots.length} Figma designs.\n`;
+      prompt += 'Each design starts and ends with a delimiter line.\n\n';
+      
+      roots.forEach((root, i) => {
+        if (i > 0) prompt += '\n';
+        prompt += `=== Design ${i + 1} of ${roots.length}: ${root.name} (${root.type}, node ${root.id}) ===\n`;
+        prompt += this.generateNodeDescription(root, 0, options);
+        prompt += `=== End of Design ${i + 1} ===\n`;
+      });
+    }
+    
+    if (options.parts && options.parts.length > 0) {
+      prompt += '\nThe design is too large for one prompt, so these layers are described in separate files. Read every file before writing code:\n';
+      options.parts.forEach(part => {
+        prompt += `- ${part.file}: ${part.node.name} (${part.node.type}, node ${part.node.id})${part.path.length > 0 ? `, inside ${part.path.join(' > ')}` : ''}\n`;
+      });
+    }
     
-    let prompt = 'Your task is to create a React component that matches the following Figma design:\n\n';
-    prompt += this.generateNodeDescription(node, 0);
+    prompt += `\nThe component should be written in ${framework.label} with ${styling.label}.\n`;
+    prompt += `Assume that the host project uses ${framework.label} and ${styling.label}, and you can reuse any existing components or styles from the project's scope.\n`;
+    [...framework.instructions, ...styling.instructions].forEach(instruction => {
+      prompt += `${instruction}\n`;
+    });
+    
+    if (roots.some(root => this.hasBoundVariables(root))) {
+      prompt += 'Properties listed under "Variables" are bound to design tokens: use the project\'s matching token (CSS variable or Tailwind theme key) instead of the literal value.\n';
+    }
+    
+    if (roots.some(root => this.hasComments(root))) {
+      prompt += 'Notes listed under "Designer notes" are implementation instructions from the design team: follow them.\n';
+    }
     
-    prompt += '\nThe component should be written in React with Tailwind CSS.\n';
-    prompt += 'Assume that the host project uses React and Tailwind CSS, and you can reuse any existing components or styles from the project\'s scope.\n';
-    prompt += 'Generate the complete React component code.\n';
+    if (roots.some(root => root.responsive && root.responsive.frames)) {
+      prompt += `${options.target.responsive}\n`;
+    }
+    
+    if (roots.some(root => this.hasRichText(root))) {
+      prompt += `${options.target.richText}\n`;
+    }
+    
+    if (roots.some(root => this.hasMainComponents(root))) {
+      prompt += 'Instances name their "Main component": it is the design-system primitive the designer used, so use the project\'s counterpart of it instead of rebuilding its layers.\n';
+    }
+    
+    if (roots.some(root => this.hasCodeComponents(root))) {
+      prompt += 'Instances with a "Code component" line already exist in the codebase: import and render them exactly as shown instead of rebuilding their layers.\n';
+    }
+    
+    if (roots.some(root => this.hasRepeats(root))) {
+      prompt += `Each "Repeated Element" is a list: keep its data as an array and render the item template once with ${framework.loop}, instead of repeating the markup.\n`;
+    }
+    
+    if (roots.some(root => this.hasInteractions(root))) {
+      prompt += 'Behaviour listed under "Interactions" comes from the prototype: implement it with event handlers, hover/active states and CSS transitions of the given duration and easing.\n';
+    }
+    
+    prompt += `${framework.closing}\n`;
     
     return prompt;
   }
 
-  generateNodeDescription(node, indentLevel) {
+  // Fill in the default target, and the first instance of every component when instances are collapsed
+  descriptionOptions(roots, options) {
+    if (!options.target) options = { ...options, target: resolveTarget() };
+    if (!options.collapseInstances || options.firstInstances) return options;
+    
+    const firstInstances = new Map();
+    const visit = node => {
+      if (node.visible === false) return;
+      if (node.type === 'INSTANCE' && node.componentId && !firstInstances.has(node.componentId)) {
+        firstInstances.set(node.componentId, node);
+      }
+      (node.children || []).forEach(visit);
+    };
+    roots.forEach(visit);
+    
+    return { ...options, firstInstances };
+  }
+
+  // One line standing in for a subtree, e.g. '14 layers: 5 TEXT ("Sign in", "Email", ...), 3 INSTANCE (Input x2, Button)'
+  summarizeSubtree(node) {
+    const byType = new Map();
+    const visit = child => {
+      if (child.visible === false) return;
+      if (!byType.has(child.type)) byType.set(child.type, []);
+      byType.get(child.type).push(child);
+      (child.children || []).forEach(visit);
+    };
+    (node.children || []).forEach(visit);
+    
+    const total = [...byType.values()].reduce((sum, layers) => sum + layers.length, 0);
+    const groups = [...byType.entries()].sort((a, b) => b[1].length - a[1].length).map(([type, layers]) => {
+      let examples;
+      if (type === 'TEXT') {
+        examples = layers.filter(layer => layer.textContent).map(layer => JSON.stringify(layer.textContent.length > 40 ? `${layer.textContent.slice(0, 40)}...` : layer.textContent));
+      } else if (type === 'INSTANCE') {
+        const counts = new Map();
+        layers.forEach(layer => counts.set(layer.name, (counts.get(layer.name) || 0) + 1));
+        examples = [...counts.entries()].map(([name, count]) => count > 1 ? `${name} x${count}` : name);
+      }
+      
+      if (!examples || examples.length === 0) return `${layers.length} ${type}`;
+      return `${layers.length} ${type} (${examples.slice(0, 5).join(', ')}${examples.length > 5 ? ', ...' : ''})`;
+    });
+    
+    return `${total} ${total === 1 ? 'layer' : 'layers'}: ${groups.join(', ')}`;
+  }
+
+  // A run of siblings with the same structure: the per-item values as data, then one item template
+  describeRepeat(repeat, indentLevel, options) {
+    const indent = '  '.repeat(indentLevel);
+    const first = repeat.nodes[0];
+    const last = repeat.nodes[repeat.nodes.length - 1];
+    
+    let description = `${indent}Repeated Element: ${repeat.nodes.length} items shaped like "${first.name}" (nodes ${first.id} to ${last.id})\n`;
+    
+    if (repeat.fields.length > 0) {
+      const { loop } = (options.target || resolveTarget()).framework;
+      description += `${indent}- Render with ${loop} over this data, in order:\n`;
+      description += `${indent}  [\n`;
+      repeat.items.forEach((item, i) => {
+        description += `${indent}    ${JSON.stringify(item)}${i < repeat.items.length - 1 ? ',' : ''}\n`;
+      });
+      description += `${indent}  ]\n`;
+    } else {
+      description += `${indent}- The items are identical: render the template ${repeat.nodes.length} times\n`;
+    }
+    
+    // The template is one level deeper than the items it stands for
+    description += `${indent}- Item template (item.<field> marks the values that come from the data):\n`;
+    description += this.generateNodeDescription(repeat.template, indentLevel + 1, {
+      ...options,
+      depthOffset: (options.depthOffset || 0) - 1
+    });
+    
+    return description;
+  }
+
+  // e.g. "- Main component: Button, variant Size=Small (from the "Acme DS" library)" with its description and docs
+  describeMainComponent(main, indent) {
+    const set = main.componentSet;
+    const source = main.remote
+      ? `from the ${main.library && main.library.name ? `"${main.library.name}" ` : 'team '}library`
+      : 'local to this file';
+    
+    let description = `${indent}- Main component: ${set ? `${set.name}, variant ${main.name}` : main.name} (${source})\n`;
+    
+    const notes = [set && set.description, main.description].filter(Boolean);
+    [...new Set(notes)].forEach(note => {
+      description += `${indent}- Component description: ${note.replace(/\s*\n\s*/g, ' ')}\n`;
+    });
+    
+    const docs = [...new Set([...(set ? set.documentationLinks : []), ...main.documentationLinks])];
+    if (docs.length > 0) {
+      description += `${indent}- Documentation: ${docs.join(', ')}\n`;
+    }
+    
+    return description;
+  }
+
+  // The children generateNodeDescription describes in full
+  describedChildren(node) {
+    let children = (node.children || []).filter(child => child.visible !== false);
+    
+    // Variants are covered by their diffs, so only the default one is described in full
+    if (node.componentApi && node.componentApi.defaultVariant) {
+      children = children.filter(child => child.id === node.componentApi.defaultVariant.id);
+    }
+    
+    return children;
+  }
+
+  // Text of the visible TEXT layers below a node, in document order
+  collectTexts(node) {
+    return (node.children || []).filter(child => child.visible !== false).flatMap(child =>
+      child.type === 'TEXT' && child.textContent ? [child.textContent] : this.collectTexts(child)
+    );
+  }
+
+  hasComments(node) {
+    return Boolean(node.comments) || (node.children || []).some(child => this.hasComments(child));
+  }
+
+  hasRichText(node) {
+    return isRichText(node) || (node.children || []).some(child => this.hasRichText(child));
+  }
+
+  hasMainComponents(node) {
+    return Boolean(node.mainComponent) || (node.children || []).some(child => this.hasMainComponents(child));
+  }
+
+  hasCodeComponents(node) {
+    return Boolean(node.codeComponent) || (node.children || []).some(child => this.hasCodeComponents(child));
+  }
+
+  hasRepeats(node) {
+    const children = this.describedChildren(node);
+    return groupRepeats(children).some(entry => entry.repeat) || children.some(child => this.hasRepeats(child));
+  }
+
+  hasInteractions(node) {
+    return Boolean(node.interactions) || (node.children || []).some(child => this.hasInteractions(child));
+  }
+
+  // Render an interaction as a sentence, e.g. "on hover swaps to variant State=Hover with 200ms ease-out smart animate"
+  describeInteraction(interaction) {
+    const { trigger } = interaction;
+    const triggers = {
+      ON_CLICK: 'on click',
+      ON_HOVER: 'on hover',
+      ON_PRESS: 'on press',
+      ON_DRAG: 'on drag',
+      WHILE_HOVERING: 'while hovering',
+      WHILE_PRESSING: 'while pressing',
+      MOUSE_ENTER: 'on mouse enter',
+      MOUSE_LEAVE: 'on mouse leave',
+      MOUSE_DOWN: 'on mouse down',
+      MOUSE_UP: 'on mouse up',
+      ON_KEY_DOWN: 'on key press'
+    };
+    
+    let when = trigger.type === 'AFTER_TIMEOUT'
+      ? `after ${trigger.delay || 0}ms`
+      : triggers[trigger.type] || `on ${String(trigger.type).toLowerCase().replace(/_/g, ' ')}`;
+    if (trigger.type !== 'AFTER_TIMEOUT' && trigger.delay) {
+      when += ` (after ${trigger.delay}ms)`;
+    }
+    
+    const actions = interaction.actions.map(action => this.describeAction(action));
+    return `${when} ${actions.length > 0 ? actions.join(', then ') : 'does nothing'}`;
+  }
+
+  describeAction(action) {
+    const destination = action.destinationName ? `"${action.destinationName}"` : `node ${action.destinationId}`;
+    const verbs = {
+      NAVIGATE: `navigates to ${destination}`,
+      SWAP: `swaps the overlay for ${destination}`,
+      OVERLAY: `opens ${destination} as an overlay`,
+      SCROLL_TO: `scrolls to ${destination}`,
+      CHANGE_TO: `swaps to variant ${action.destinationName || action.destinationId}`,
+      URL: `opens ${action.url}${action.openInNewTab ? ' in a new tab' : ''}`,
+      BACK: 'goes back',
+      CLOSE: 'closes the overlay'
+    };
+    
+    let description = verbs[action.type] || `runs ${String(action.type).toLowerCase().replace(/_/g, ' ')}`;
+    
+    const transition = action.transition;
+    if (transition && transition.type !== 'INSTANT') {
+      const easing = transition.easing && !transition.easing.startsWith('cubic-bezier')
+        ? transition.easing.toLowerCase().replace('_and_', '_').replace(/_/g, '-')
+        : transition.easing;
+      const type = transition.type.toLowerCase().replace(/_/g, ' ');
+      const direction = transition.direction ? ` ${transition.direction.toLowerCase()}` : '';
+      description += ` with ${[`${transition.duration}ms`, easing, `${type}${direction}`].filter(Boolean).join(' ')}`;
+    }
+    
+    return description;
+  }
+
+  describeComment(comment) {
+    return `"${comment.message.replace(/\s*\n\s*/g, ' ')}"${comment.author ? ` (@${comment.author})` : ''}`;
+  }
+
+  hasBoundVariables(node) {
+    return Boolean(node.boundVariables) || (node.children || []).some(child => this.hasBoundVariables(child));
+  }
+
+  // Render a variable binding as text, e.g. "uses surface/primary (Colors; Light #ffffff, Dark #111111)"
+  describeBinding(binding) {
+    if (!binding.name) {
+      return `uses library variable ${binding.id}`;
+    }
+    
+    const formatValue = value => (value && typeof value === 'object' && value.alias)
+      ? `${value.alias}${value.value !== undefined ? ` = ${formatValue(value.value)}` : ''}`
+      : String(value);
+    
+    const modes = Object.entries(binding.values).map(([mode, value]) => `${mode} ${formatValue(value)}`);
+    return `uses ${binding.name} (${[binding.collection, modes.join(', ')].filter(Boolean).join('; ')})`;
+  }
+
+  // Render what changes between breakpoints: frames, visibility, fluid width, sizes, layout and other properties
+  describeResponsive(responsive, indent, target) {
+    let description = '';
+    const formatValue = value => (value === undefined ? 'none' : typeof value === 'string' ? `"${value}"` : String(value));
+    const length = value => formatLength(value, target);
+    
+    if (responsive.frames) {
+      const frames = responsive.frames.map(frame => `${frame.breakpoint} ${length(frame.width)} frame "${frame.name}"${frame.minWidth ? ` (from ${length(frame.minWidth)})` : ''}`);
+      description += `${indent}- Breakpoints: ${frames.join(', ')}\n`;
+    }
+    
+    if (responsive.onlyAt) {
+      description += `${indent}- Only at: ${responsive.onlyAt.join(', ')} (hidden at the other breakpoints)\n`;
+    }
+    
+    if (responsive.fluidWidth) {
+      description += `${indent}- Fluid width: ${responsive.fluidWidth} (stretches with its parent)\n`;
+    }
+    
+    if (responsive.sizes) {
+      const sizes = Object.entries(responsive.sizes).map(([breakpoint, size]) => `${breakpoint} ${length(size.width)} x ${length(size.height)}`);
+      description += `${indent}- Size per breakpoint: ${sizes.join(', ')}\n`;
+    }
+    
+    // Tailwind targets get the layout through the prefixed classes instead
+    if (responsive.layout && !target.styling.tailwind) {
+      description += `${indent}- Layout per breakpoint:\n`;
+      Object.entries(responsive.layout).forEach(([breakpoint, css]) => {
+        description += `${indent}  - ${breakpoint}: ${formatCss(css, target)}\n`;
+      });
+    }
+    
+    Object.entries(responsive.changes || {}).forEach(([breakpoint, changes]) => {
+      description += `${indent}- Changes from ${breakpoint}:\n`;
+      changes.forEach(change => {
+        description += `${indent}  - ${change.property}: ${formatValue(change.from)} -> ${formatValue(change.to)}\n`;
+      });
+    });
+    
+    return description;
+  }
+
+  // Render a component's props interface and how each variant differs from the default
+  describeComponentApi(api, indent) {
+    let description = `${indent}- Component API (${api.componentName}):\n`;
+    description += `${indent}  - Props interface:\n`;
+    api.typescript.trimEnd().split('\n').forEach(line => {
+      description += `${indent}    ${line}\n`;
+    });
+    
+    if (!api.defaultVariant) {
+      return description;
+    }
+    
+    const formatValue = value => (value === undefined ? 'none' : String(value));
+    description += `${indent}  - Default variant: ${api.defaultVariant.name} (described below)\n`;
+    api.variants.forEach(variant => {
+      description += `${indent}  - Variant ${variant.name}:\n`;
+      if (variant.changes.length === 0) {
+        description += `${indent}    - Same styles as the default variant\n`;
+      }
+      variant.changes.forEach(change => {
+        if (change.change) {
+          description += `${indent}    - ${change.element}: ${change.change}\n`;
+        } else if (change.classes) {
+          const classes = [
+            ...change.classes.added.map(cls => `+${cls}`),
+            ...change.classes.removed.map(cls => `-${cls}`)
+          ];
+          description += `${indent}    - ${change.element} classes: ${classes.join(' ')}\n`;
+        } else {
+          description += `${indent}    - ${change.element} ${change.property}: ${formatValue(change.from)} -> ${formatValue(change.to)}\n`;
+        }
+      });
+    });
+    
+    return description;
+  }
+
+  // options.references maps node ids described in separate files to those files; options.depthOffset
+  // is the depth of the node when it is described on its own, away from its root
+  generateNodeDescription(node, indentLevel, options = {}) {
     if (!node) return '';
     
+    const target = options.target || resolveTarget();
+    const length = value => formatLength(value, target);
+    
     // Skip invisible elements
     if (node.visible === false) {
       return '';
@@ -359,8 +1518,8 @@ class FigmaClient {
     
     // Size and position
     if (node.size) {
-      description += `${indent}- Width: ${node.size.width}px\n`;
-      description += `${indent}- Height: ${node.size.height}px\n`;
+      description += `${indent}- Width: ${length(node.size.width)}\n`;
+      description += `${indent}- Height: ${length(node.size.height)}\n`;
     }
     
     // Background color
@@ -382,24 +1541,31 @@ class FigmaClient {
           description += `${indent}- Fill${node.fills.length > 1 ? ` ${i+1}` : ''}: ${fill.color}\n`;
         } else if (fill.type.startsWith('GRADIENT')) {
           description += `${indent}- Fill${node.fills.length > 1 ? ` ${i+1}` : ''}: ${fill.type.replace('GRADIENT_', '').toLowerCase()} gradient (${fill.gradientStops.map(stop => stop.color).join(' to ')})\n`;
+        } else if (fill.type === 'IMAGE' && fill.asset) {
+          description += `${indent}- Fill${node.fills.length > 1 ? ` ${i+1}` : ''}: image ${fill.asset} (${(fill.scaleMode || 'FILL').toLowerCase()})\n`;
         }
       });
     }
     
+    // Exported assets replace the element's drawn content
+    if (node.assets && node.assets.length > 0) {
+      description += `${indent}- Asset: ${node.assets.map(asset => asset.path).join(', ')} (use this file instead of recreating the shape)\n`;
+    }
+    
     // Strokes
     if (node.strokes && node.strokes.length > 0) {
-      description += `${indent}- Border: ${node.strokeWeight}px ${node.strokes[0].type.toLowerCase()} ${node.strokes[0].color}\n`;
+      description += `${indent}- Border: ${length(node.strokeWeight)} ${node.strokes[0].type.toLowerCase()} ${node.strokes[0].color}\n`;
     }
     
     // Effects
     if (node.effects && node.effects.length > 0) {
       node.effects.forEach((effect, i) => {
         if (effect.type === 'DROP_SHADOW') {
-          description += `${indent}- Shadow: ${effect.radius}px ${effect.color} offset(${effect.offset.x}, ${effect.offset.y})\n`;
+          description += `${indent}- Shadow: ${length(effect.radius)} ${effect.color} offset(${length(effect.offset.x)}, ${length(effect.offset.y)})\n`;
         } else if (effect.type === 'INNER_SHADOW') {
-          description += `${indent}- Inner Shadow: ${effect.radius}px ${effect.color} offset(${effect.offset.x}, ${effect.offset.y})\n`;
+          description += `${indent}- Inner Shadow: ${length(effect.radius)} ${effect.color} offset(${length(effect.offset.x)}, ${length(effect.offset.y)})\n`;
         } else if (effect.type.includes('BLUR')) {
-          description += `${indent}- ${effect.type.replace('_', ' ').toLowerCase()}: ${effect.radius}px\n`;
+          description += `${indent}- ${effect.type.replace('_', ' ').toLowerCase()}: ${length(effect.radius)}\n`;
         }
       });
     }
@@ -409,7 +1575,7 @@ class FigmaClient {
       description += `${indent}- Layout: ${node.layout.mode === 'HORIZONTAL' ? 'Row' : 'Column'}\n`;
       
       if (node.layout.spacing) {
-        description += `${indent}- Gap: ${node.layout.spacing}px\n`;
+        description += `${indent}- Gap: ${length(node.layout.spacing)}\n`;
       }
       
       if (node.layout.padding) {
@@ -417,9 +1583,9 @@ class FigmaClient {
         description += `${indent}- Padding: `;
         
         if (padding.top === padding.right && padding.right === padding.bottom && padding.bottom === padding.left) {
-          description += `${padding.top}px\n`;
+          description += `${length(padding.top)}\n`;
         } else {
-          description += `${padding.top || 0}px ${padding.right || 0}px ${padding.bottom || 0}px ${padding.left || 0}px\n`;
+          description += `${[padding.top, padding.right, padding.bottom, padding.left].map(value => length(value || 0)).join(' ')}\n`;
         }
       }
       
@@ -430,11 +1596,49 @@ class FigmaClient {
       if (node.layout.counterAxisSizingMode) {
         description += `${indent}- Counter Axis Sizing: ${node.layout.counterAxisSizingMode}\n`;
       }
+      
+      const justify = { MIN: 'start', CENTER: 'center', MAX: 'end', SPACE_BETWEEN: 'space-between' };
+      const align = { MIN: 'start', CENTER: 'center', MAX: 'end', BASELINE: 'baseline' };
+      description += `${indent}- Alignment: main axis ${justify[node.layout.primaryAxisAlignItems || 'MIN'] || node.layout.primaryAxisAlignItems}, cross axis ${align[node.layout.counterAxisAlignItems || 'MIN'] || node.layout.counterAxisAlignItems}\n`;
+      
+      if (node.layout.wrap === 'WRAP') {
+        description += `${indent}- Wrap: yes${node.layout.counterAxisSpacing !== undefined ? `, ${length(node.layout.counterAxisSpacing)} between rows` : ''}${node.layout.counterAxisAlignContent === 'SPACE_BETWEEN' ? ', rows spread with space-between' : ''}\n`;
+      }
+      
+      if (node.layout.itemReverseZIndex) {
+        description += `${indent}- Stacking: first child on top\n`;
+      }
+    }
+    
+    // Resolved sizing and the flexbox CSS that reproduces it
+    if (node.cssLayout) {
+      const sizing = { FILL: 'fill container', HUG: 'hug contents', FIXED: 'fixed' };
+      if (node.layoutPositioning === 'ABSOLUTE') {
+        description += `${indent}- Positioning: absolute inside its auto-layout parent\n`;
+      } else if (node.layout || node.layoutSizing || node.layoutGrow || node.layoutAlign) {
+        description += `${indent}- Sizing: width ${sizing[node.cssLayout.width]}, height ${sizing[node.cssLayout.height]}\n`;
+      }
+      
+      // Plain fixed sizes are already listed as Width and Height
+      const declarations = formatCss(node.cssLayout.css, target);
+      const flexDeclarations = Object.keys(node.cssLayout.css).some(property => property !== 'width' && property !== 'height');
+      if (declarations && (flexDeclarations || node.layout || node.layoutSizing)) {
+        description += `${indent}- Layout CSS: ${declarations}\n`;
+      }
     }
     
     // Text content
     if (node.type === 'TEXT') {
-      description += `${indent}- Text: "${node.textContent}"\n`;
+      // Styled runs, links and lists are written as inline markdown
+      const text = isRichText(node) ? renderMarkdown(node) : node.textContent;
+      if (node.textLines) {
+        description += `${indent}- Text:\n`;
+        text.split('\n').forEach(line => {
+          description += `${indent}    ${line}\n`;
+        });
+      } else {
+        description += `${indent}- Text: "${text}"\n`;
+      }
       
       if (node.textStyle) {
         if (node.textStyle.fontFamily) {
@@ -442,7 +1646,7 @@ class FigmaClient {
         }
         
         if (node.textStyle.fontSize) {
-          description += `${indent}- Font Size: ${node.textStyle.fontSize}px\n`;
+          description += `${indent}- Font Size: ${length(node.textStyle.fontSize)}\n`;
         }
         
         if (node.textStyle.fontWeight) {
@@ -468,7 +1672,58 @@ class FigmaClient {
         if (node.textStyle.textDecoration && node.textStyle.textDecoration !== 'NONE') {
           description += `${indent}- Text Decoration: ${node.textStyle.textDecoration.toLowerCase()}\n`;
         }
+        
+        if (node.textStyle.italic) {
+          description += `${indent}- Font Style: italic\n`;
+        }
+        
+        if (node.textStyle.hyperlink) {
+          description += `${indent}- Link: ${node.textStyle.hyperlink.url || `node ${node.textStyle.hyperlink.nodeId}`}\n`;
+        }
+        
+        if (node.textStyle.paragraphSpacing) {
+          description += `${indent}- Paragraph Spacing: ${length(node.textStyle.paragraphSpacing)}\n`;
+        }
+        
+        if (node.textStyle.paragraphIndent) {
+          description += `${indent}- Paragraph Indent: ${length(node.textStyle.paragraphIndent)}\n`;
+        }
+        
+        if (node.textStyle.listSpacing) {
+          description += `${indent}- List Spacing: ${length(node.textStyle.listSpacing)}\n`;
+        }
+        
+        if (node.textStyle.autoResize) {
+          const resize = { NONE: 'fixed size', HEIGHT: 'fixed width, height grows with the text', WIDTH_AND_HEIGHT: 'grows with the text', TRUNCATE: 'fixed size' };
+          description += `${indent}- Text Resizing: ${resize[node.textStyle.autoResize] || node.textStyle.autoResize.toLowerCase()}\n`;
+        }
+        
+        if (node.textStyle.truncate) {
+          description += `${indent}- Truncation: ellipsis${node.textStyle.maxLines ? ` after ${node.textStyle.maxLines} ${node.textStyle.maxLines === 1 ? 'line' : 'lines'}` : ''}\n`;
+        } else if (node.textStyle.maxLines) {
+          description += `${indent}- Max Lines: ${node.textStyle.maxLines}\n`;
+        }
+        
+        if (node.textStyle.openTypeFeatures) {
+          const features = Object.entries(node.textStyle.openTypeFeatures).map(([tag, value]) => `${tag} ${value ? 'on' : 'off'}`);
+          description += `${indent}- OpenType Features: ${features.join(', ')}\n`;
+        }
       }
+    } else if (node.textContent) {
+      description += `${indent}- Text: "${node.textContent}"\n`;
+    }
+
+    if (node.shapeType) {
+      description += `${indent}- Shape: ${node.shapeType.toLowerCase().replace(/_/g, ' ')}\n`;
+    }
+
+    if (node.connector) {
+      description += `${indent}- Connects: ${node.connector.start || 'nothing'} -> ${node.connector.end || 'nothing'}\n`;
+    }
+
+    // Main component, its set and the library it is published in
+    if (node.mainComponent) {
+      description += this.describeMainComponent(node.mainComponent, indent);
     }
     
     // Component instance properties
@@ -479,15 +1734,100 @@ class FigmaClient {
       });
     }
     
+    // Instances mapped to a component of the codebase in figma.components.json
+    if (node.codeComponent) {
+      description += `${indent}- Code component: ${codeComponentJsx(node)} (${importLine(node.codeComponent)})\n`;
+    }
+    
+    // Tailwind classes snapped to the project's theme
+    if (node.tailwind && target.styling.tailwind) {
+      description += `${indent}- Tailwind: ${node.tailwind.classes}\n`;
+      
+      const offScale = (node.tailwind.deviations || []).filter(deviation => !deviation.snapped);
+      if (offScale.length > 0) {
+        description += `${indent}- Off-scale values: ${offScale.map(deviation => `${deviation.property} ${deviation.value} (nearest ${deviation.token}, ${deviation.delta})`).join('; ')}\n`;
+      }
+    }
+    
+    // Variable bindings (design tokens)
+    if (node.boundVariables) {
+      description += `${indent}- Variables:\n`;
+      Object.entries(node.boundVariables).forEach(([property, binding]) => {
+        description += `${indent}  - ${property}: ${this.describeBinding(binding)}\n`;
+      });
+    }
+    
+    // Prototype interactions
+    if (node.interactions) {
+      description += `${indent}- Interactions:\n`;
+      node.interactions.forEach(interaction => {
+        description += `${indent}  - ${this.describeInteraction(interaction)}\n`;
+      });
+    }
+    
+    // Designer comments, with their replies
+    if (node.comments) {
+      description += `${indent}- Designer notes:\n`;
+      node.comments.forEach(thread => {
+        description += `${indent}  - ${this.describeComment(thread)}${thread.resolved ? ' (resolved)' : ''}\n`;
+        thread.replies.forEach(reply => {
+          description += `${indent}    - Reply: ${this.describeComment(reply)}\n`;
+        });
+      });
+    }
+    
+    // Differences between the breakpoint frames this node was merged from
+    if (node.responsive) {
+      description += this.describeResponsive(node.responsive, indent, target);
+    }
+    
+    // Prop API of a component or component set
+    if (node.componentApi) {
+      description += this.describeComponentApi(node.componentApi, indent);
+    }
+    
+    const depth = indentLevel + (options.depthOffset || 0);
+    const firstInstance = options.firstInstances && node.type === 'INSTANCE' && options.firstInstances.get(node.componentId);
+    const hasVisibleChildren = (node.children || []).some(child => child.visible !== false);
+    
+    // Mapped instances are rendered by the project's component, so their layers are left out
+    if (node.codeComponent) {
+      return description;
+    }
+    
+    // Layers of a repeated component are described once, at its first instance
+    if (firstInstance && firstInstance.id !== node.id && hasVisibleChildren) {
+      description += `${indent}- Contains: the same layers as the first ${firstInstance.name} instance (node ${firstInstance.id})\n`;
+      
+      const texts = this.collectTexts(node);
+      if (texts.length > 0) {
+        description += `${indent}- Text content: ${texts.map(text => JSON.stringify(text)).join(', ')}\n`;
+      }
+      
+      return description;
+    }
+    
+    // Below the depth limit, children are summarized in one line
+    if (options.maxDepth !== undefined && depth >= options.maxDepth && hasVisibleChildren) {
+      description += `${indent}- Contains (summarized): ${this.summarizeSubtree(node)}\n`;
+      return description;
+    }
+    
     // Children (only include visible ones)
     if (node.children && node.children.length > 0) {
-      // Filter out invisible children
-      const visibleChildren = node.children.filter(child => child.visible !== false);
+      const visibleChildren = this.describedChildren(node);
       
       if (visibleChildren.length > 0) {
         description += `${indent}- Contains:\n`;
-        visibleChildren.forEach(child => {
-          description += this.generateNodeDescription(child, indentLevel + 1);
+        const referenced = child => Boolean(options.references && options.references.has(child.id));
+        groupRepeats(visibleChildren, child => !referenced(child)).forEach(({ node: child, repeat }) => {
+          if (repeat) {
+            description += this.describeRepeat(repeat, indentLevel + 1, options);
+          } else if (referenced(child)) {
+            description += `${indent}  Design Element: ${child.name} (${child.type}, node ${child.id}), described in ${options.references.get(child.id)}\n`;
+          } else {
+            description += this.generateNodeDescription(child, indentLevel + 1, options);
+          }
         });
       }
     }
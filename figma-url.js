@@ -0,0 +1,142 @@
+// Parse the many forms a Figma link can take into a file key and a node id
+
+// Path prefixes that are followed by a file key, and what kind of file they open
+const FILE_PATHS = {
+  file: 'design',
+  design: 'design',
+  proto: 'prototype',
+  board: 'FigJam board',
+  make: 'Make file',
+  slides: 'Slides deck'
+};
+
+const KEY_PATTERN = /^[A-Za-z0-9]+$/;
+
+// Bare input needs a key-like length so typos are not taken for keys
+const BARE_KEY_PATTERN = /^[A-Za-z0-9]{10,128}$/;
+
+// Node ids are "12:34", or "I12:34;56:78" inside instances; URLs write the colons as hyphens
+const NODE_ID_PATTERN = /^I?\d+(:\d+)+(;I?\d+(:\d+)+)*$/;
+
+// Turn a node id from a URL or the command line into the form the API uses
+function normalizeNodeId(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let nodeId = String(value).trim();
+  try {
+    nodeId = decodeURIComponent(nodeId);
+  } catch (error) {
+    // Keep ids with stray percent signs as they are, validation below reports them
+  }
+  nodeId = nodeId.replace(/-/g, ':');
+
+  if (!NODE_ID_PATTERN.test(nodeId)) {
+    throw new Error(`Invalid node id "${value}". Node ids look like 12:34 (or 12-34 in URLs).`);
+  }
+
+  return nodeId;
+}
+
+// Bare input: a file key on its own, or "fileKey:nodeId"
+function parseBareKey(input) {
+  const separator = input.indexOf(':');
+  const fileKey = separator === -1 ? input : input.slice(0, separator);
+
+  if (!BARE_KEY_PATTERN.test(fileKey)) {
+    return null;
+  }
+
+  return {
+    fileKey,
+    nodeId: separator === -1 ? null : normalizeNodeId(input.slice(separator + 1)),
+    kind: 'file key',
+    branchOf: null,
+    nodeIdSource: separator === -1 ? null : 'input',
+    embedded: false
+  };
+}
+
+// Parse a Figma URL or bare key into { fileKey, nodeId, kind, branchOf, nodeIdSource, embedded }
+function parseFigmaUrl(input) {
+  const value = String(input || '').trim();
+  if (!value) {
+    throw new Error('No Figma URL given.');
+  }
+
+  if (!/[/.]/.test(value)) {
+    const bare = parseBareKey(value);
+    if (bare) return bare;
+    throw new Error(`"${value}" is neither a Figma URL nor a file key. File keys are the letters and digits after /design/ in a Figma URL.`);
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    throw new Error(`Invalid Figma URL "${value}". Please provide a valid URL from Figma.`);
+  }
+
+  if (parsedUrl.hostname !== 'figma.com' && !parsedUrl.hostname.endsWith('.figma.com')) {
+    throw new Error(`Not a Figma URL: the host is ${parsedUrl.hostname}, expected figma.com.`);
+  }
+
+  const segments = parsedUrl.pathname.split('/').filter(segment => segment.length > 0);
+
+  // Embed links carry the real file URL in their url parameter
+  if (segments[0] === 'embed' && parsedUrl.searchParams.get('url')) {
+    return { ...parseFigmaUrl(parsedUrl.searchParams.get('url')), embedded: true };
+  }
+
+  // embed.figma.com serves the same paths as www.figma.com
+  const embedded = parsedUrl.hostname === 'embed.figma.com';
+
+  if (segments[0] === 'community') {
+    throw new Error('Community files cannot be read through the API. Duplicate the file to your drafts and use the URL of the copy.');
+  }
+
+  const kind = FILE_PATHS[segments[0]];
+  if (!kind) {
+    throw new Error(`Unsupported Figma URL path "${parsedUrl.pathname}". Supported: /design/, /file/, /proto/, /board/, /make/ and /slides/ links, embed links and bare file keys.`);
+  }
+
+  if (!segments[1] || !KEY_PATTERN.test(segments[1])) {
+    throw new Error(`Missing or malformed file key after /${segments[0]}/ in "${value}".`);
+  }
+
+  // Branches are files of their own: /design/MAINKEY/branch/BRANCHKEY/name
+  // (older links keep the file name before /branch/)
+  let fileKey = segments[1];
+  let branchOf = null;
+  const branchIndex = segments.indexOf('branch', 2);
+  if (branchIndex !== -1 && branchIndex <= 3) {
+    const branchKey = segments[branchIndex + 1];
+    if (!branchKey || !KEY_PATTERN.test(branchKey)) {
+      throw new Error(`Missing or malformed branch key after /branch/ in "${value}".`);
+    }
+    branchOf = fileKey;
+    fileKey = branchKey;
+  }
+
+  // The node is usually in the query string, but some links put it in the hash
+  const hashParams = new URLSearchParams(parsedUrl.hash.replace(/^#/, ''));
+  let nodeIdSource = null;
+  let rawNodeId = null;
+  if (parsedUrl.searchParams.get('node-id')) {
+    rawNodeId = parsedUrl.searchParams.get('node-id');
+    nodeIdSource = 'query';
+  } else if (hashParams.get('node-id')) {
+    rawNodeId = hashParams.get('node-id');
+    nodeIdSource = 'hash';
+  }
+
+  return {
+    fileKey,
+    nodeId: normalizeNodeId(rawNodeId),
+    kind,
+    branchOf,
+    nodeIdSource,
+    embedded
+  };
+}
+
+export { parseFigmaUrl, normalizeNodeId };
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import fs from 'fs';
 import path from 'path';
 import open from 'open';
@@ -8,34 +8,117 @@ import inquirer from 'inquirer';
 import dotenv from 'dotenv';
 import ora from 'ora';
 import { fileURLToPath } from 'url';
-import fetch from 'node-fetch';
 import FigmaClient from './figma-client.js';
+import { authorize, DEFAULT_PORT as OAUTH_DEFAULT_PORT, DEFAULT_SCOPES as OAUTH_DEFAULT_SCOPES } from './oauth.js';
+import ResponseCache from './response-cache.js';
+import AuthStore from './auth-store.js';
+import AssetExporter from './asset-exporter.js';
+import { resolveStyleTokens, toW3CTokens, toCSSVariables, toTailwindTheme } from './design-tokens.js';
+import TailwindMapper from './tailwind-mapper.js';
+import { resolveTarget } from './prompt-targets.js';
+import { annotateComponentApis, pascalCase, propName } from './component-api.js';
+import { parseFigmaUrl, normalizeNodeId } from './figma-url.js';
+import { diffNodes, formatDiffText, formatDiffPrompt } from './design-diff.js';
+import { buildBoardGraph, toSpecMarkdown } from './figjam-graph.js';
+import { renderHtml, isRichText } from './rich-text.js';
+import { assignBreakpoints, mergeBreakpoints } from './responsive.js';
+import { splitPrompt, partPath } from './prompt-budget.js';
+import { groupRepeats } from './repeated-structure.js';
+import {
+  COMPONENT_MAP_FILE,
+  loadComponentMap,
+  saveComponentMap,
+  findMapping,
+  annotateComponentKeys,
+  annotateCodeComponents,
+  codeComponentJsx,
+  importLine,
+  collectUsedComponents
+} from './component-map.js';
+import JsxGenerator from './jsx-generator.js';
 
 // Load environment variables
 dotenv.config();
 
 const CONFIG_DIR = path.join(process.env.HOME || process.env.USERPROFILE, '.figma-to-code');
 const TOKEN_PATH = path.join(CONFIG_DIR, 'auth.json');
+const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
 
-// Ensure config directory exists
+const PROJECT_CONFIG_FILE = '.figma-to-code.json';
+
+// Ensure config directory exists, private to the user since it holds credentials
 if (!fs.existsSync(CONFIG_DIR)) {
-  fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
 }
 
-// Function to get the stored token or prompt for authentication
-async function getAuthToken() {
-  // Check if token exists
-  if (fs.existsSync(TOKEN_PATH)) {
-    try {
-      const tokenData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-      return tokenData.token;
-    } catch (error) {
-      console.error('Error reading auth token:', error.message);
+const authStore = new AuthStore(TOKEN_PATH);
+
+// Find the project config in the current directory or one of its parents
+function readProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  
+  for (;;) {
+    const configPath = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(configPath)) {
+      try {
+        return { path: configPath, config: JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+      } catch (error) {
+        throw new Error(`Invalid project config ${configPath}: ${error.message}`);
+      }
     }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return { path: null, config: {} };
+    }
+    dir = parent;
+  }
+}
+
+// Pick the profile to use: --profile, then FIGMA_PROFILE, the project's pinned profile and finally the active one
+function resolveProfile(explicitProfile) {
+  if (explicitProfile) {
+    return { name: explicitProfile, source: '--profile' };
+  }
+  
+  if (process.env.FIGMA_PROFILE) {
+    return { name: process.env.FIGMA_PROFILE, source: 'FIGMA_PROFILE' };
   }
+  
+  const project = readProjectConfig();
+  if (project.config.profile) {
+    return { name: project.config.profile, source: project.path };
+  }
+  
+  const active = authStore.activeProfile;
+  return { name: active || 'default', source: active ? 'active profile' : 'default' };
+}
+
+// Read the stored credentials without prompting, or null if there are none
+// Personal access tokens are stored as { token }, OAuth logins as { oauth }
+// FIGMA_TOKEN takes precedence over the stored profiles unless one is named explicitly
+function readStoredAuth(explicitProfile) {
+  if (process.env.FIGMA_TOKEN && !explicitProfile) {
+    return { token: process.env.FIGMA_TOKEN, profile: { name: 'FIGMA_TOKEN', source: 'environment' } };
+  }
+  
+  const profile = resolveProfile(explicitProfile);
+  const credentials = authStore.get(profile.name);
+  return credentials ? { ...credentials, profile } : null;
+}
+
+// Function to get the stored credentials or prompt for a personal access token
+async function getAuth(explicitProfile) {
+  // Check if credentials exist
+  const storedAuth = readStoredAuth(explicitProfile);
+  if (storedAuth) {
+    return storedAuth;
+  }
+  
+  const profile = resolveProfile(explicitProfile);
 
   // If no token, guide the user through authentication
-  console.log('No Figma authentication token found.');
+  console.log(`No Figma authentication token found${profile.name === 'default' ? '' : ` for profile "${profile.name}"`}.`);
   console.log('Please follow these steps to authenticate:');
   console.log('1. Go to https://www.figma.com/developers/api');
   console.log('2. Log in and create a personal access token');
@@ -66,64 +149,127 @@ async function getAuthToken() {
   ]);
 
   // Save the token
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify({ token }, null, 2));
+  authStore.set(profile.name, { token });
   console.log('Authentication successful. Token saved.');
   
-  return token;
+  return { token, profile };
+}
+
+// Create a Figma client backed by the on-disk response cache
+// In offline mode no authentication is needed since every response comes from the cache
+async function createFigmaClient(options = {}) {
+  const auth = (options.offline ? readStoredAuth(options.profile) : await getAuth(options.profile)) || {};
+
+  return new FigmaClient(auth.token || null, options.verbose, {
+    oauth: auth.oauth,
+    onTokenRefresh: oauth => authStore.set(auth.profile.name, { ...authStore.get(auth.profile.name), oauth }),
+    cache: options.cache === false ? null : new ResponseCache(CACHE_DIR),
+    offline: options.offline,
+    maxRetries: options.maxRetries,
+    maxConcurrent: options.concurrency
+  });
 }
 
-// Parse Figma URL to extract file key and node ID
-function parseFigmaUrl(url) {
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolve the URLs and optional --nodes list into ordered { fileKey, nodeId } targets
+function collectTargets(urls, nodeList) {
+  const parsed = urls.map(url => ({ url, ...parseFigmaUrl(url) }));
+  
+  if (!nodeList) {
+    return parsed;
+  }
+  
+  const fileKeys = [...new Set(parsed.map(target => target.fileKey))];
+  if (fileKeys.length > 1) {
+    throw new Error('--nodes can only be combined with URLs from a single Figma file');
+  }
+  
+  const extraTargets = nodeList
+    .split(',')
+    .map(nodeId => nodeId.trim())
+    .filter(nodeId => nodeId.length > 0)
+    .map(nodeId => ({ url: parsed[0].url, fileKey: fileKeys[0], nodeId: normalizeNodeId(nodeId) }));
+  
+  // A URL without a node ID only names the file when --nodes is given
+  return [...parsed.filter(target => target.nodeId), ...extraTargets];
+}
+
+// Explain API errors for a file in terms of what the URL pointed at
+function describeFileError(error, fileKey, url) {
+  const { branchOf } = parseFigmaUrl(url);
+  const file = branchOf ? `Branch ${fileKey} of file ${branchOf}` : `File ${fileKey}`;
+  
+  if (/Figma API Error: 404/.test(error.message)) {
+    return new Error(`${file} was not found. Check the link, and that the file still exists${branchOf ? ' and the branch has not been merged or archived' : ''}.`);
+  }
+  if (/Figma API Error: 403/.test(error.message)) {
+    return new Error(`${file} is not shared with the account you are authenticated as. Check "claude-code-figma auth" or switch profiles.`);
+  }
+  return error;
+}
+
+// Fetch several nodes of one file with a single batched fileNodes call
+async function fetchFileNodes(figma, fileKey, nodeIds, url, spinner, log, version) {
+  spinner.text = `Fetching node data for ${nodeIds.join(', ')}${version ? ` at version ${version}` : ''}...`;
+  
   try {
-    // Parse the URL
-    const parsedUrl = new URL(url);
+    const nodesData = await figma.fileNodes(fileKey, nodeIds, { version });
+    log('Nodes data retrieved successfully');
     
-    // Get the pathname to extract file/design key
-    const pathname = parsedUrl.pathname;
+    // Debug the nodes response only in verbose mode
+    log('API response:', JSON.stringify(nodesData, null, 2));
     
-    // Extract node-id from search params
-    const searchParams = new URLSearchParams(parsedUrl.search);
-    let nodeId = searchParams.get('node-id');
+    const documents = {};
+    const components = {};
+    const componentSets = {};
+    const missingIds = [];
     
-    // Check if we need to convert hyphen to colon in node ID
-    // We'll accept both formats now based on the Figma URL
-    if (nodeId && nodeId.includes('-')) {
-      // Keep the original format as given in the URL
-      // The FigmaClient.findNodeById function will handle the search
-    }
-    
-    // Determine if it's a file or design URL and extract the key
-    let fileKey = null;
-    
-    // Split the pathname into segments
-    const segments = pathname.split('/').filter(segment => segment.length > 0);
-    
-    // Handle different Figma URL formats
-    if (segments.length >= 2) {
-      // Format: /file/{key}/... or /design/{key}/...
-      if (segments[0] === 'file' || segments[0] === 'design') {
-        fileKey = segments[1];
+    // Every node comes with the components and component sets its instances use
+    nodeIds.forEach(nodeId => {
+      if (nodesData.nodes && nodesData.nodes[nodeId]) {
+        documents[nodeId] = nodesData.nodes[nodeId].document;
+        Object.assign(components, nodesData.nodes[nodeId].components);
+        Object.assign(componentSets, nodesData.nodes[nodeId].componentSets);
+      } else {
+        missingIds.push(nodeId);
       }
-    }
+    });
     
-    if (!fileKey) {
-      throw new Error('Could not extract file key from URL. Supported formats: figma.com/file/KEY or figma.com/design/KEY');
+    if (missingIds.length === 0) {
+      return { documents, components, componentSets };
     }
     
-    return {
-      fileKey,
-      nodeId
-    };
+    // Name the nodes that did resolve; the caller decides whether this ends the run (watch mode keeps going)
+    const found = Object.keys(documents);
+    throw new Error(
+      `Node with ID ${missingIds.join(', ')} not found in file ${fileKey}${found.length > 0 ? ` (found: ${found.join(', ')})` : ''}. ` +
+      `The node may have been deleted${version ? ' or not exist yet at this version' : ''}. Copy a fresh link with "Copy link to selection" in Figma.`
+    );
   } catch (error) {
-    if (error.message.includes('Invalid URL')) {
-      throw new Error('Invalid Figma URL. Please provide a valid URL from Figma.');
-    }
-    throw error;
+    throw describeFileError(error, fileKey, url);
+  }
+}
+
+// Fetch the whole document of a file when no node ID is given
+async function fetchFileDocument(figma, fileKey, url, spinner, version) {
+  spinner.text = `Fetching file data for ${fileKey}...`;
+  console.log('Warning: No node ID specified. Fetching entire file, which may be slow for large files.');
+  console.log('For better performance, specify a node ID in the URL using ?node-id=X:Y');
+  
+  try {
+    const fileData = await figma.file(fileKey, { version });
+    return { document: fileData.document, components: fileData.components || {}, componentSets: fileData.componentSets || {} };
+  } catch (error) {
+    throw describeFileError(error, fileKey, url);
   }
 }
 
 // Function to fetch and process node metadata from Figma
-async function fetchNodeMetadata(url, verbose = false) {
+// Node IDs are grouped by file key so each file needs a single fileNodes request
+// options.version reads the nodes as they were at that file version; figma reuses a session's client
+async function fetchNodesMetadata(urls, options = {}, figma = null) {
+  const { verbose = false } = options;
   const spinner = ora('Authenticating with Figma...').start();
   
   // Helper for conditional logging based on verbose flag
@@ -134,115 +280,85 @@ async function fetchNodeMetadata(url, verbose = false) {
   };
   
   try {
-    const token = await getAuthToken();
-    const figma = new FigmaClient(token, verbose);
-    
-    spinner.text = 'Parsing Figma URL...';
-    log('Parsing URL:', url);
-    const { fileKey, nodeId } = parseFigmaUrl(url);
-    log('Extracted fileKey:', fileKey);
-    log('Extracted nodeId:', nodeId);
-    
-    // If we have a specific node ID, use the more efficient nodes endpoint
-    if (nodeId) {
-      spinner.text = `Fetching node data for ${nodeId}...`;
-      try {
-        const nodesData = await figma.fileNodes(fileKey, [nodeId]);
-        log('Nodes data retrieved successfully');
-        
-        // Debug the nodes response only in verbose mode
-        if (verbose) {
-          log('API response:', JSON.stringify(nodesData, null, 2));
-        }
-        
-        // Check if the node was found
-        if (nodesData.nodes && nodesData.nodes[nodeId]) {
-          spinner.succeed('Fetched node metadata successfully');
-          
-          // Extract the node document from the response
-          const nodeDocument = nodesData.nodes[nodeId].document;
-          
-          // Process the node properties using our enhanced extraction
-          const processedNode = figma.extractNodeProperties(nodeDocument);
-          
-          return processedNode;
-        } else {
-          // If we can't find the exact nodeId, it may be in a different format
-          // Try to handle both hyphen and colon formats
-          const alternateNodeId = nodeId.includes('-') 
-            ? nodeId.replace('-', ':') 
-            : nodeId.replace(':', '-');
-          
-          spinner.text = `Trying alternate node ID format: ${alternateNodeId}...`;
-          
-          try {
-            const alternateData = await figma.fileNodes(fileKey, [alternateNodeId]);
-            
-            if (alternateData.nodes && alternateData.nodes[alternateNodeId]) {
-              spinner.succeed(`Fetched node metadata using alternate format: ${alternateNodeId}`);
-              
-              // Extract the node document from the response
-              const nodeDocument = alternateData.nodes[alternateNodeId].document;
-              
-              // Process the node properties using our enhanced extraction
-              const processedNode = figma.extractNodeProperties(nodeDocument);
-              
-              return processedNode;
-            }
-          } catch (alternateError) {
-            // Continue with original error handling if alternate ID also fails
-          }
-          
-          spinner.fail(`Node with ID ${nodeId} not found in response`);
-          
-          // If we have nodes but the specific one wasn't found, show available nodes and exit
-          if (nodesData.nodes && Object.keys(nodesData.nodes).length > 0) {
-            console.error('The node ID format might be different. Available nodes:');
-            console.error(Object.keys(nodesData.nodes).join(', '));
-            console.error(`\nPlease use one of these node IDs in your URL.`);
-          } else {
-            console.error('No nodes were found in the response.');
-          }
-          
-          // Exit the program - this is a fatal error
-          process.exit(1);
-        }
-      } catch (error) {
-        // If this fails and it's a design URL, we might need to try alternative methods
-        if (error.message.includes('404') && url.includes('/design/')) {
-          spinner.fail('Could not access this Figma design node');
-          console.log('\nThe provided design URL format is not directly supported by the Figma API.');
-          console.log('Please try with a file URL from the same design (click "Share" and copy the link)');
-          console.log('The URL should start with: https://www.figma.com/file/');
-          throw new Error('Could not access Figma design. Please use a file URL instead.');
-        }
-        throw error;
-      }
-    }
+    figma = figma || await createFigmaClient(options);
     
-    // If no node ID is specified, fetch the entire file
-    spinner.text = `Fetching file data for ${fileKey}...`;
-    console.log('Warning: No node ID specified. Fetching entire file, which may be slow for large files.');
-    console.log('For better performance, specify a node ID in the URL using ?node-id=X:Y');
+    spinner.text = 'Parsing Figma URLs...';
+    log('Parsing URLs:', urls.join(', '));
+    const targets = collectTargets(urls, options.nodes);
+    targets.forEach(target => log(`Extracted fileKey: ${target.fileKey}, nodeId: ${target.nodeId}`));
     
-    try {
-      const fileData = await figma.file(fileKey);
-      spinner.succeed('Fetched document metadata successfully');
+    // Group node IDs by file key, keeping the first URL for error reporting
+    const groups = new Map();
+    targets.forEach(target => {
+      if (!groups.has(target.fileKey)) {
+        groups.set(target.fileKey, { url: target.url, nodeIds: [], wholeFile: false });
+      }
+      const group = groups.get(target.fileKey);
+      if (!target.nodeId) {
+        group.wholeFile = true;
+      } else if (!group.nodeIds.includes(target.nodeId)) {
+        group.nodeIds.push(target.nodeId);
+      }
+    });
+    
+    const documents = {};
+    const componentsByFile = {};
+    const variablesByFile = {};
+    const commentsByFile = {};
+    await Promise.all([...groups.entries()].map(async ([fileKey, group]) => {
+      if (options.variables !== false) {
+        variablesByFile[fileKey] = await figma.loadVariables(fileKey);
+      }
       
-      // Process the document properties using our enhanced extraction
-      const processedDocument = figma.extractNodeProperties(fileData.document);
+      if (options.withComments) {
+        commentsByFile[fileKey] = await figma.loadComments(fileKey, { includeResolved: options.includeResolved });
+      }
       
-      return processedDocument;
-    } catch (error) {
-      if (error.message.includes('404') && url.includes('/design/')) {
-        spinner.fail('Could not access this Figma design');
-        console.log('\nThe provided design URL format is not directly supported by the Figma API.');
-        console.log('Please try with a file URL from the same design (click "Share" and copy the link)');
-        console.log('The URL should start with: https://www.figma.com/file/');
-        throw new Error('Could not access Figma design. Please use a file URL instead.');
+      componentsByFile[fileKey] = { components: {}, componentSets: {} };
+      const addComponents = ({ components, componentSets }) => {
+        Object.assign(componentsByFile[fileKey].components, components);
+        Object.assign(componentsByFile[fileKey].componentSets, componentSets);
+      };
+      
+      if (group.nodeIds.length > 0) {
+        const nodesData = await fetchFileNodes(figma, fileKey, group.nodeIds, group.url, spinner, log, options.version);
+        Object.entries(nodesData.documents).forEach(([nodeId, document]) => {
+          documents[`${fileKey}/${nodeId}`] = document;
+        });
+        addComponents(nodesData);
       }
-      throw error;
-    }
+      
+      if (group.wholeFile) {
+        const fileData = await fetchFileDocument(figma, fileKey, group.url, spinner, options.version);
+        documents[`${fileKey}/`] = fileData.document;
+        addComponents(fileData);
+      }
+    }));
+    
+    spinner.succeed(`Fetched metadata for ${targets.length} ${targets.length === 1 ? 'node' : 'nodes'} successfully`);
+    
+    // Process the node properties using our enhanced extraction, in the order requested
+    const results = targets.map(target => ({
+      ...target,
+      node: figma.extractNodeProperties(documents[`${target.fileKey}/${target.nodeId || ''}`], {
+        variables: variablesByFile[target.fileKey],
+        comments: commentsByFile[target.fileKey]
+      })
+    }));
+
+    await Promise.all([...groups.keys()].map(fileKey => figma.resolveInteractionDestinations(
+      fileKey,
+      results.filter(result => result.fileKey === fileKey).map(result => result.node),
+      { version: options.version }
+    )));
+    
+    results.forEach(result => annotateComponentKeys(result.node, componentsByFile[result.fileKey]));
+    await Promise.all([...groups.keys()].map(fileKey => figma.resolveMainComponents(
+      results.filter(result => result.fileKey === fileKey).map(result => result.node),
+      componentsByFile[fileKey]
+    )));
+
+    return results;
   } catch (error) {
     spinner.fail(`Error: ${error.message}`);
     throw error;
@@ -260,6 +376,8 @@ Examples:
   $ claude-code-figma extract https://www.figma.com/file/abcdef123456/MyDesign?node-id=1:2 --format json
   $ claude-code-figma extract https://www.figma.com/file/abcdef123456/MyDesign?node-id=1:2 --format yaml
   $ claude-code-figma extract https://www.figma.com/file/abcdef123456/MyDesign?node-id=1:2 --format ai-prompt
+  $ claude-code-figma extract https://www.figma.com/file/abcdef123456/MyDesign --nodes 1:2,3:4,5:6
+  $ claude-code-figma extract "https://www.figma.com/file/abc/A?node-id=1:2" "https://www.figma.com/file/def/B?node-id=7:8"
 
 Output Formats:
   ai-prompt - Detailed design description optimized for AI implementation (default)
@@ -288,40 +406,37 @@ program
       console.log('Analyzing URL:', url);
       
       // Parse the URL
-      const { fileKey, nodeId } = parseFigmaUrl(url);
-      console.log('Extracted:');
-      console.log(`- File Key: ${fileKey}`);
-      console.log(`- Node ID: ${nodeId || 'None'}`);
+      const { fileKey, nodeId, kind, branchOf, nodeIdSource, embedded } = parseFigmaUrl(url);
+      console.log('Detected:');
+      console.log(`- Type: ${kind}${embedded ? ' (embed link)' : ''}`);
+      console.log(`- File Key: ${fileKey}${branchOf ? ` (branch of ${branchOf})` : ''}`);
+      console.log(`- Node ID: ${nodeId ? `${nodeId} (from the ${nodeIdSource === 'input' ? 'key' : `URL ${nodeIdSource}`})` : 'None, the whole file would be extracted'}`);
       
       // Test if the file exists by making a simple API call
       console.log('\nChecking if file exists in Figma API...');
-      const token = await getAuthToken();
+      const figma = await createFigmaClient({ cache: false, maxRetries: 0 });
       
       const spinner = ora('Making API request...').start();
       
       try {
-        const response = await fetch(`https://api.figma.com/v1/files/${fileKey}/nodes?ids=${nodeId || '0:1'}`, {
-          headers: {
-            'X-Figma-Token': token
-          }
-        });
+        const { nodes } = await figma.fileNodes(fileKey, nodeId || '0:1');
+        const entry = nodes && nodes[nodeId || '0:1'];
         
-        if (response.ok) {
-          spinner.succeed('URL is valid and accessible!');
-          console.log('This URL should work with the extract command.');
-        } else {
-          spinner.fail('URL is not accessible via the Figma API.');
-          console.log(`API returned status: ${response.status} ${response.statusText}`);
-          
-          if (url.includes('/design/')) {
-            console.log('\nThis appears to be a design URL, which may not be supported by the Figma API.');
-            console.log('Try using a URL in this format instead:');
-            console.log('https://www.figma.com/file/KEY/name?node-id=X-Y');
-          }
+        if (nodeId && !entry) {
+          spinner.fail(`The file is accessible, but it has no node ${nodeId}.`);
+          console.log('The node may have been deleted. Copy a fresh link with "Copy link to selection" in Figma.');
+          process.exit(1);
+        }
+        
+        spinner.succeed('URL is valid and accessible!');
+        if (nodeId) {
+          console.log(`Node: ${entry.document.name} (${entry.document.type})`);
         }
+        console.log('This URL should work with the extract command.');
       } catch (error) {
-        spinner.fail('Error checking URL');
-        console.error(error.message);
+        spinner.fail('URL is not accessible via the Figma API.');
+        console.log(describeFileError(error, fileKey, url).message);
+        process.exit(1);
       }
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -330,10 +445,91 @@ program
   });
 
 // Helper functions to format Figma data for different output formats
-function formatAsAIPrompt(figmaNode, figmaClient) {
-  if (!figmaNode) return '';
+function formatAsAIPrompt(figmaNodes, figmaClient, options = {}) {
+  if (!figmaNodes || figmaNodes.length === 0) return '';
+  
+  return figmaClient.generateAIPrompt(figmaNodes, promptOptions(options));
+}
+
+// Description options of the ai-prompt format from the extract command's flags
+function promptOptions(options) {
+  return { maxDepth: options.depth, collapseInstances: Boolean(options.collapseInstances), target: promptTarget(options) };
+}
+
+// The framework and styling to prompt for: --target, then the project config's target, then React with Tailwind CSS
+function promptTarget(options) {
+  return resolveTarget(options.target || readProjectConfig(options.project).config.target);
+}
+
+// Parse a comma-separated list of export scales such as "1,2"
+function parseScales(value) {
+  const scales = value.split(',').map(scale => Number(scale.trim()));
+  
+  if (scales.some(scale => Number.isNaN(scale) || scale < 0.01 || scale > 4)) {
+    throw new Error(`Invalid scales: ${value}. Figma renders at scales between 0.01 and 4.`);
+  }
+  
+  return scales;
+}
+
+// Parser for whole-number options such as --max-retries, rejecting values outside min..max instead of passing NaN on
+function parseInteger(min, max = Infinity) {
+  return value => {
+    const number = /^\s*-?\d+\s*$/.test(value) ? Number(value) : NaN;
+    if (!(number >= min && number <= max)) {
+      throw new InvalidArgumentError(max === Infinity
+        ? `Expected a whole number of at least ${min}.`
+        : `Expected a whole number from ${min} to ${max}.`);
+    }
+    return number;
+  };
+}
+
+// Download the assets of every extracted root, one export per file
+async function exportAssets(results, figma, options) {
+  const exporter = new AssetExporter(figma, {
+    outputDir: options.assetsDir,
+    scales: parseScales(options.assetScales)
+  });
+  
+  const fileKeys = [...new Set(results.map(result => result.fileKey))];
+  const written = { images: [], svgs: [], pngs: [] };
+  
+  for (const fileKey of fileKeys) {
+    const roots = results.filter(result => result.fileKey === fileKey).map(result => result.node);
+    const exported = await exporter.export(fileKey, roots);
+    Object.keys(written).forEach(kind => written[kind].push(...exported[kind]));
+  }
   
-  return figmaClient.generateAIPrompt(figmaNode);
+  return written;
+}
+
+// Format the extracted roots in the requested output format
+// A single root keeps the original single-node shape; several roots are delimited per format
+async function formatOutput(roots, format, figma, options = {}) {
+  const metadata = roots.length === 1 ? roots[0] : roots;
+  
+  if (format === 'json') {
+    return JSON.stringify(metadata, null, 2);
+  } else if (format === 'yaml') {
+    // Simple JSON to YAML conversion
+    const yaml = await import('js-yaml');
+    return yaml.default.dump(metadata);
+  } else if (format === 'bullet') {
+    // Convert to bullet points for more readable output
+    return formatAsBulletPoints(metadata);
+  } else if (format === 'ai-prompt') {
+    // Generate the AI-optimized prompt
+    return formatAsAIPrompt(roots, figma, options);
+  } else if (format === 'summary') {
+    // Create a readable legacy summary, one section per root
+    return roots.map(root => createComponentSummary(root)).join('\n---\n\n');
+  } else if (format === 'spec') {
+    // Markdown outline of a FigJam board, one document per root
+    return roots.map(root => toSpecMarkdown(buildBoardGraph([root]), root.name)).join('\n---\n\n');
+  }
+  
+  throw new Error(`Unsupported format: ${format}`);
 }
 
 // Helper function to convert data to bullet points format
@@ -385,7 +581,8 @@ function createComponentSummary(data) {
   // Descriptive Component Structure with embedded information
   summary += `**Component Structure (Pseudo-HTML with Info):**\n\`\`\`html\n`;
   summary += `<!-- Main Component: ${data.name} (${data.type}) -->\n`;
-  summary += `<div data-component-id="${data.id}">\n`;
+  summary += generateCommentLines(data.comments, '');
+  summary += `<div data-component-id="${data.id}"${data.tailwind ? ` class="${data.tailwind.classes}"` : ''}>\n`;
   
   // Add descriptive children structure with embedded information
   if (data.children && data.children.length > 0) {
@@ -448,6 +645,11 @@ function createComponentSummary(data) {
     }
   }
   
+  // Prop API of a component or component set
+  if (data.componentApi) {
+    summary += createComponentApiSummary(data.componentApi);
+  }
+  
   // Enhanced Component Tree visualization
   if (data.children && data.children.length > 0) {
     summary += `\n**Component Tree:**\n\`\`\`\n`;
@@ -460,6 +662,18 @@ function createComponentSummary(data) {
   summary += `- Consider using Flexbox or Grid for layout structure\n`;
   summary += `- Use Tailwind CSS for styling:\n`;
   
+  // Classes already snapped to the project's Tailwind theme replace the arbitrary-value tips
+  if (data.tailwind) {
+    summary += `  - \`${data.tailwind.classes}\` on the root element\n`;
+    summary += `  - Each element's \`class\` attribute above lists its mapped Tailwind classes\n`;
+    
+    (data.tailwind.deviations || []).forEach(deviation => {
+      summary += `  - ${deviation.property} ${deviation.value} is ${deviation.snapped ? 'snapped to' : 'off-scale; nearest is'} \`${deviation.token}\` (${deviation.delta})\n`;
+    });
+    
+    return summary;
+  }
+  
   if (data.size) {
     summary += `  - \`w-[${data.size.width}px] h-[${data.size.height}px]\` for dimensions\n`;
   }
@@ -483,6 +697,30 @@ function createComponentSummary(data) {
   return summary;
 }
 
+// Helper to summarize a component's props interface and variant diffs
+function createComponentApiSummary(api) {
+  let summary = `\n**Component API (${api.componentName}):**\n\`\`\`ts\n${api.typescript}\`\`\`\n`;
+  
+  if (api.defaultVariant) {
+    summary += `\n**Variants** (compared with the default, ${api.defaultVariant.name}):\n`;
+    
+    api.variants.forEach(variant => {
+      const changes = variant.changes.filter(change => !change.classes);
+      summary += `- **${variant.name}**: ${changes.length === 0 ? 'same styles as the default' : `${changes.length} changes`}\n`;
+      
+      changes.forEach(change => {
+        if (change.change) {
+          summary += `  - ${change.element}: ${change.change}\n`;
+        } else {
+          summary += `  - ${change.element} \`${change.property}\`: ${change.from === undefined ? 'none' : change.from} → ${change.to === undefined ? 'none' : change.to}\n`;
+        }
+      });
+    });
+  }
+  
+  return summary;
+}
+
 // Function to display the full component tree in a visual format
 function generateComponentTree(component) {
   let result = ''; 
@@ -504,13 +742,17 @@ function generateComponentTreeChildren(children, level) {
   
   let result = '';
   const indent = '│  '.repeat(level);
-  const lastIndex = children.length - 1;
+  // Repeated siblings are shown once, as their item template
+  const entries = groupRepeats(children);
+  const lastIndex = entries.length - 1;
   
-  children.forEach((child, index) => {
+  entries.forEach(({ node, repeat }, index) => {
+    const child = repeat ? repeat.template : node;
+    
     // Determine if this is the last child at this level
     const isLast = index === lastIndex;
     const prefix = isLast ? '└─ ' : '├─ ';
-    const childLine = `${indent}${prefix}${child.name} (${child.type})`;
+    const childLine = `${indent}${prefix}${child.name} (${child.type})${repeat ? ` x${repeat.nodes.length}, repeated` : ''}`;
     
     result += childLine + '\n';
     
@@ -533,7 +775,20 @@ function generateDescriptiveComponentStructure(children, indentLevel) {
   const indent = ' '.repeat(indentLevel);
   let structure = '';
   
-  children.forEach(child => {
+  groupRepeats(children).forEach(({ node: child, repeat }) => {
+    // Runs of matching siblings: the per-item values as JSON, then one item template
+    if (repeat) {
+      const first = repeat.nodes[0];
+      structure += `${indent}<!-- Repeated: ${repeat.nodes.length} items shaped like "${first.name}" (nodes ${first.id} to ${repeat.nodes[repeat.nodes.length - 1].id}). Render items.map(item => ...) with the template below, {item.<field>} marks per-item values -->\n`;
+      if (repeat.fields.length > 0) {
+        structure += `${indent}<script type="application/json" data-items-for="${first.id}">\n`;
+        structure += `${indent}  [\n${repeat.items.map(item => `${indent}    ${JSON.stringify(item)}`).join(',\n')}\n${indent}  ]\n`;
+        structure += `${indent}</script>\n`;
+      }
+      structure += generateDescriptiveComponentStructure([repeat.template], indentLevel);
+      return;
+    }
+    
     // Add common attributes to all elements
     const commonAttrs = [
       `data-figma-id="${child.id || ''}"`,
@@ -541,24 +796,58 @@ function generateDescriptiveComponentStructure(children, indentLevel) {
       `data-name="${child.name || ''}"`
     ];
     
+    if (child.tailwind && child.tailwind.classes) {
+      commonAttrs.push(`class="${child.tailwind.classes}"`);
+    }
+    
+    // Reference exported asset files instead of opaque image hashes
+    if (child.assets && child.assets.length > 0) {
+      commonAttrs.push(`data-asset="${child.assets[0].path}"`);
+    }
+    
+    if (child.boundVariables) {
+      const tokens = Object.entries(child.boundVariables)
+        .map(([property, binding]) => `${property}=${binding.name || binding.id}`);
+      commonAttrs.push(`data-tokens="${tokens.join(',')}"`);
+    }
+    
+    const imageFill = (child.fills || []).find(fill => fill && fill.type === 'IMAGE' && fill.asset);
+    if (imageFill) {
+      commonAttrs.push(`data-image="${imageFill.asset}"`);
+    }
+    
     if (child.type === 'TEXT') {
       // For text nodes, include text content and styling
       structure += `${indent}<!-- Text: ${child.name} -->\n`;
-      structure += `${indent}<p ${commonAttrs.join(' ')}`;
+      structure += generateCommentLines(child.comments, indent);
+      // Lists cannot live inside a paragraph
+      const tag = child.textLines ? 'div' : 'p';
+      structure += `${indent}<${tag} ${commonAttrs.join(' ')}`;
       
       // Add style information if available
       if (child.textStyle) {
-        const { fontFamily, fontSize, fontWeight } = child.textStyle;
+        const { fontFamily, fontSize, fontWeight, maxLines, truncate } = child.textStyle;
         structure += ` data-font="${fontFamily || 'default'}" data-size="${fontSize || ''}px" data-weight="${fontWeight || ''}"`;
+        
+        if (truncate || maxLines) {
+          structure += ` data-max-lines="${maxLines || 1}"`;
+        }
       }
       
       structure += `>\n`;
-      structure += `${indent}  ${child.textContent || '[No Text Content]'}\n`;
-      structure += `${indent}</p>\n`;
+      structure += `${indent}  ${isRichText(child) ? renderHtml(child) : child.textContent || '[No Text Content]'}\n`;
+      structure += `${indent}</${tag}>\n`;
     } 
+    else if (child.type === 'INSTANCE' && child.codeComponent) {
+      // Instances mapped in figma.components.json render the project's component
+      structure += `${indent}<!-- Instance: ${child.name}, ${importLine(child.codeComponent)} -->\n`;
+      structure += generateCommentLines(child.comments, indent);
+      structure += `${indent}${codeComponentJsx(child)}\n`;
+    }
     else if (child.type === 'INSTANCE') {
       // For component instances, include component info
-      structure += `${indent}<!-- Instance: ${child.name} -->\n`;
+      structure += `${indent}<!-- Instance: ${child.name}${child.mainComponent ? `, ${describeMainComponent(child.mainComponent)}` : ''} -->\n`;
+      structure += generateCommentLines(child.comments, indent);
       structure += `${indent}<component`;
       
       // Add component ID
@@ -585,6 +874,7 @@ function generateDescriptiveComponentStructure(children, indentLevel) {
     else {
       // For container nodes, include styling and layout
       structure += `${indent}<!-- Container: ${child.name} -->\n`;
+      structure += generateCommentLines(child.comments, indent);
       
       // Add layout information if available
       let layoutInfo = '';
@@ -611,6 +901,30 @@ function generateDescriptiveComponentStructure(children, indentLevel) {
   return structure;
 }
 
+// Helper to render designer comment threads as HTML comments above an element
+function generateCommentLines(threads, indent) {
+  if (!threads) return '';
+  
+  // "--" would end the HTML comment early
+  const text = message => message.replace(/\s*\n\s*/g, ' ').replace(/--/g, '- -');
+  
+  return threads.map(thread => {
+    let lines = `${indent}<!-- Note${thread.author ? ` from @${thread.author}` : ''}${thread.resolved ? ' (resolved)' : ''}: ${text(thread.message)} -->\n`;
+    thread.replies.forEach(reply => {
+      lines += `${indent}<!--   Reply${reply.author ? ` from @${reply.author}` : ''}: ${text(reply.message)} -->\n`;
+    });
+    return lines;
+  }).join('');
+}
+
+// Helper to name an instance's main component in one line, e.g. 'main component Button / Size=Small from the "Acme DS" library'
+function describeMainComponent(main) {
+  const name = main.componentSet ? `${main.componentSet.name} / ${main.name}` : main.name;
+  const library = main.remote ? ` from the ${main.library && main.library.name ? `"${main.library.name}" ` : 'team '}library` : '';
+  const docs = [...(main.componentSet ? main.componentSet.documentationLinks : []), ...main.documentationLinks];
+  return `main component ${name}${library}${docs.length > 0 ? `, docs ${docs[0]}` : ''}`.replace(/--/g, '- -');
+}
+
 // Helper to generate component attributes from componentProperties
 function generateComponentAttributes(componentProperties) {
   if (!componentProperties) return '';
@@ -645,51 +959,537 @@ function camelCase(str) {
     .join('');
 }
 
+// Fetch and annotate the nodes of an extract run, returning the roots and the formatted output
+async function runExtract(urls, options, figma) {
+  const spinner = ora('Extracting metadata from Figma...').start();
+  const results = await fetchNodesMetadata(urls, options, figma);
+  const roots = results.map(result => result.node);
+  spinner.succeed('Metadata extracted successfully');
+  
+  if (options.withAssets) {
+    const assetSpinner = ora(`Exporting assets to ${options.assetsDir}...`).start();
+    const written = await exportAssets(results, figma, options);
+    assetSpinner.succeed(`Exported ${written.images.length} images, ${written.svgs.length} SVGs and ${written.pngs.length} PNGs to ${options.assetsDir}`);
+  }
+  
+  if (options.tailwind) {
+    const mapper = await TailwindMapper.fromProject(options.project);
+    if (options.verbose) {
+      console.log(`Snapping Tailwind classes to ${mapper.configPath || 'the default Tailwind theme'}`);
+    }
+    roots.forEach(root => mapper.annotate(root));
+  }
+  
+  // Variant diffs include class changes, so this runs after the Tailwind annotation
+  roots.forEach(root => annotateComponentApis(root));
+  annotateProjectComponents(roots, options);
+  
+  // Oversized prompts become an index prompt plus part files written next to the output
+  if (options.maxTokens !== undefined && options.format === 'ai-prompt') {
+    const { index, parts, tokens } = splitPrompt(roots, figma, {
+      ...promptOptions(options),
+      maxTokens: options.maxTokens,
+      output: options.output || 'prompt.txt'
+    });
+    
+    if (parts.length > 0 && !options.output) {
+      throw new Error(`The prompt is about ${tokens} tokens, over --max-tokens ${options.maxTokens}. Give --output so it can be split into part files.`);
+    }
+    if (options.verbose || parts.length > 0) {
+      console.log(`Prompt is about ${tokens} tokens${parts.length > 0 ? `, split into an index and ${parts.length} parts` : ''}`);
+    }
+    parts.filter(part => part.tokens > options.maxTokens).forEach(part => {
+      console.warn(`Warning: ${part.file} (${part.node.name}) is about ${part.tokens} tokens and cannot be split further`);
+    });
+    
+    return { roots, output: index, parts };
+  }
+  
+  return { roots, output: await formatOutput(roots, options.format, figma, options), parts: [] };
+}
+
+// Write the part files of a split prompt, removing parts left over from an earlier, larger split
+function writeParts(parts, options) {
+  parts.forEach(part => fs.writeFileSync(part.filePath, part.text));
+  if (options.maxTokens === undefined) return;
+  
+  for (let number = parts.length + 1; fs.existsSync(partPath(options.output, number)); number++) {
+    fs.unlinkSync(partPath(options.output, number));
+  }
+}
+
+// Mark instances of components mapped in the project's figma.components.json
+function annotateProjectComponents(roots, options) {
+  const componentMap = loadComponentMap(options.project);
+  const mapped = roots.reduce((count, root) => count + annotateCodeComponents(root, componentMap.components), 0);
+  
+  if (options.verbose && componentMap.path) {
+    console.log(`Mapped ${mapped} ${mapped === 1 ? 'instance' : 'instances'} to project components from ${componentMap.path}`);
+  }
+}
+
+// Summarize a diff in one line, e.g. "3 changes (2 color, 1 text)"
+function summarizeChanges(changes) {
+  const counts = {};
+  changes.forEach(change => {
+    const kind = change.type === 'changed' ? change.category : change.type;
+    counts[kind] = (counts[kind] || 0) + 1;
+  });
+  
+  const details = Object.entries(counts).map(([kind, count]) => `${count} ${kind}`).join(', ');
+  return `${changes.length} ${changes.length === 1 ? 'change' : 'changes'} (${details})`;
+}
+
+// Poll the files' versions and rewrite the output whenever the extracted nodes change
+async function watchExtract(urls, options) {
+  if (!options.output) {
+    throw new Error('--watch needs an --output file to keep up to date');
+  }
+  if (options.offline) {
+    throw new Error('--watch cannot be combined with --offline');
+  }
+  
+  const interval = Math.max(5, options.interval) * 1000;
+  const maxInterval = 10 * 60 * 1000;
+  const fileKeys = [...new Set(collectTargets(urls, options.nodes).map(target => target.fileKey))];
+  
+  // One client for the whole session, so authentication happens once
+  const figma = await createFigmaClient(options);
+  const currentVersions = async () => Promise.all(fileKeys.map(async fileKey => {
+    const { version, lastModified } = await figma.fileVersion(fileKey, { refresh: true });
+    return `${fileKey}@${version}/${lastModified}`;
+  }));
+  
+  let versions = (await currentVersions()).join(',');
+  let { roots, output, parts } = await runExtract(urls, options, figma);
+  fs.writeFileSync(options.output, output);
+  writeParts(parts, options);
+  console.log(`Metadata saved to ${options.output}. Watching for changes every ${interval / 1000}s (Ctrl+C to stop)...`);
+  
+  process.on('SIGINT', () => {
+    console.log('\nStopped watching.');
+    process.exit(0);
+  });
+  
+  let delay = interval;
+  for (;;) {
+    await sleep(delay);
+    
+    try {
+      const latest = (await currentVersions()).join(',');
+      delay = interval;
+      if (latest === versions) continue;
+      versions = latest;
+      
+      const next = await runExtract(urls, options, figma);
+      const changed = next.roots
+        .map((root, i) => ({ root, changes: roots[i] ? diffNodes(roots[i], root) : [] }))
+        .filter(({ changes }) => changes.length > 0);
+      
+      // A file edit elsewhere in the document leaves the target nodes untouched
+      if (changed.length === 0 && next.output === output) {
+        console.log(`[${new Date().toLocaleTimeString()}] File changed, extracted nodes unchanged`);
+        continue;
+      }
+      
+      ({ roots, output, parts } = next);
+      fs.writeFileSync(options.output, output);
+      writeParts(parts, options);
+      console.log(`[${new Date().toLocaleTimeString()}] Updated ${options.output}`);
+      changed.forEach(({ root, changes }) => console.log(`  ${root.name}: ${summarizeChanges(changes)}`));
+    } catch (error) {
+      // Back off while Figma is unreachable or throttling, up to ten minutes between checks
+      delay = Math.min(delay * 2, maxInterval);
+      console.error(`[${new Date().toLocaleTimeString()}] ${error.message.replace(/\.$/, '')}. Retrying in ${Math.round(delay / 1000)}s`);
+    }
+  }
+}
+
 program
-  .command('extract <url>')
-  .description('Extract metadata from a Figma URL')
+  .command('extract <urls...>')
+  .description('Extract metadata from one or more Figma URLs')
   .option('-o, --output <path>', 'Output file path (defaults to stdout)')
-  .option('-f, --format <format>', 'Output format (ai-prompt, json, yaml, summary)', 'ai-prompt')
+  .option('-f, --format <format>', 'Output format (ai-prompt, json, yaml, summary, spec)', 'ai-prompt')
+  .option('-n, --nodes <ids>', 'Comma-separated node IDs to extract from the file of the given URL (e.g. 1:2,3:4)')
   .option('-v, --verbose', 'Enable verbose logging')
-  .action(async (url, options) => {
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .option('--no-cache', 'Bypass the local response cache')
+  .option('--max-retries <count>', 'Retries for rate-limited or failed API requests', parseInteger(0), 4)
+  .option('--concurrency <count>', 'Maximum number of concurrent API requests', parseInteger(1), 4)
+  .option('--no-variables', 'Skip resolving Figma variables bound to properties')
+  .option('--with-comments', 'Include designer comments pinned to the extracted nodes')
+  .option('--include-resolved', 'Keep resolved comment threads when using --with-comments')
+  .option('--with-assets', 'Download images and icons and reference the local files in the output')
+  .option('--assets-dir <path>', 'Directory to write assets into', path.join('public', 'figma'))
+  .option('--asset-scales <scales>', 'Comma-separated scales for PNG renders', '1,2')
+  .option('--no-tailwind', 'Skip annotating nodes with Tailwind classes')
+  .option('--project <dir>', 'Project whose tailwind.config.js the classes are snapped to', process.cwd())
+  .option('-w, --watch', 'Keep running and rewrite --output whenever the extracted nodes change in Figma')
+  .option('--interval <seconds>', 'Seconds between checks for changes in watch mode', parseInteger(1), 15)
+  .option('--depth <levels>', 'Describe this many levels below each root and summarize deeper layers (ai-prompt)', parseInteger(0))
+  .option('--collapse-instances', 'Describe the layers of each component only at its first instance (ai-prompt)')
+  .option('--max-tokens <count>', 'Split prompts larger than this into an index prompt and part files (ai-prompt)', parseInteger(1))
+  .option('--target <framework[/styling]>', 'Framework and styling to prompt for, e.g. vue/css-modules (ai-prompt, defaults to the project config or react/tailwind)')
+  .action(async (urls, options) => {
     try {
-      const spinner = ora('Extracting metadata from Figma...').start();
-      const metadata = await fetchNodeMetadata(url, options.verbose);
-      spinner.succeed('Metadata extracted successfully');
+      if ((options.maxTokens !== undefined || options.depth !== undefined || options.collapseInstances || options.target) && options.format !== 'ai-prompt') {
+        throw new Error('--max-tokens, --depth, --collapse-instances and --target only apply to the ai-prompt format');
+      }
+      // Fail on an unknown target before fetching anything
+      if (options.format === 'ai-prompt') promptTarget(options);
+
+      if (options.watch) {
+        await watchExtract(urls, options);
+        return;
+      }
       
       // Initialize Figma client needed for AI prompt generation
-      const token = await getAuthToken();
-      const figma = new FigmaClient(token, options.verbose);
+      const figma = await createFigmaClient(options);
+      const { output, parts } = await runExtract(urls, options, figma);
+      
+      // Output the result
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        writeParts(parts, options);
+        console.log(`Metadata saved to ${options.output}${parts.length > 0 ? ` and ${parts.length} part files next to it` : ''}`);
+      } else {
+        // Output directly to stdout
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('generate <url>')
+  .description('Generate a React JSX component scaffold with Tailwind classes from a Figma node')
+  .option('-o, --output <path>', 'Output file path (defaults to stdout)')
+  .option('--name <name>', 'Component name (defaults to the node name in PascalCase)')
+  .option('--project <dir>', 'Project whose tailwind.config.js the classes are snapped to', process.cwd())
+  .option('--with-assets', 'Download images and icons and reference the local files')
+  .option('--assets-dir <path>', 'Directory to write assets into', path.join('public', 'figma'))
+  .option('--asset-scales <scales>', 'Comma-separated scales for PNG renders', '1,2')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .action(async (url, options) => {
+    try {
+      const figma = await createFigmaClient(options);
+      const results = await fetchNodesMetadata([url], options, figma);
+      const root = results[0].node;
+      
+      if (options.withAssets) {
+        const spinner = ora(`Exporting assets to ${options.assetsDir}...`).start();
+        const written = await exportAssets(results, figma, options);
+        spinner.succeed(`Exported ${written.images.length} images, ${written.svgs.length} SVGs and ${written.pngs.length} PNGs to ${options.assetsDir}`);
+      }
+      
+      const mapper = await TailwindMapper.fromProject(options.project);
+      mapper.annotate(root);
+      annotateProjectComponents([root], options);
+      
+      const source = new JsxGenerator({ componentName: options.name }).generate(root);
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, source);
+        console.log(`Component saved to ${options.output}`);
+      } else {
+        console.log(source);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Variant values rewritten for a prop, e.g. "Extra Large" -> "extra-large"
+const VALUE_STYLES = {
+  keep: value => value,
+  lower: value => value.toLowerCase(),
+  kebab: value => value.trim().replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase()
+};
+
+// Ask how one Figma component maps to a component of the codebase, or null to leave it unmapped
+async function promptComponentMapping(component, existing) {
+  const { importPath } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'importPath',
+      message: `Import path of the component implementing "${component.name}" (empty to skip):`,
+      default: existing ? existing.import : undefined
+    }
+  ]);
+  if (!importPath.trim()) return null;
+  
+  const { exportName, isDefault } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'exportName',
+      message: 'Component name:',
+      default: existing ? existing.export : pascalCase(component.name.split('/').pop()) || 'Component',
+      validate: input => /^[A-Z][\w.]*$/.test(input.trim()) || 'Use the component\'s PascalCase name'
+    },
+    {
+      type: 'confirm',
+      name: 'isDefault',
+      message: 'Is it the default export of that module?',
+      default: existing ? Boolean(existing.default) : false
+    }
+  ]);
+  
+  const props = {};
+  for (const [key, property] of component.properties) {
+    const values = [...property.values];
+    const { prop } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'prop',
+        message: `Prop for "${key.replace(/#.*$/, '')}" (${property.type.toLowerCase()}${values.length > 0 ? `: ${values.slice(0, 4).join(', ')}` : ''}), "-" to leave it out:`,
+        default: property.type === 'TEXT' && /label|text|title/i.test(key) ? 'children' : propName(key)
+      }
+    ]);
+    
+    if (prop.trim() === '-') {
+      props[key] = null;
+      continue;
+    }
+    
+    let valueStyle = 'keep';
+    if (property.type === 'VARIANT' && !values.every(value => /^(true|false)$/i.test(value))) {
+      ({ valueStyle } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'valueStyle',
+          message: `Values of ${prop.trim()}:`,
+          choices: Object.entries(VALUE_STYLES).map(([style, convert]) => ({
+            name: `${{ keep: 'As in Figma', lower: 'Lower case', kebab: 'Kebab case' }[style]} (${values.slice(0, 3).map(convert).join(', ')})`,
+            value: style
+          }))
+        }
+      ]));
+    }
+    
+    props[key] = valueStyle === 'keep'
+      ? prop.trim()
+      : { prop: prop.trim(), values: Object.fromEntries(values.map(value => [value, VALUE_STYLES[valueStyle](value)])) };
+  }
+  
+  return {
+    figma: component.key ? { name: component.name, key: component.key } : { name: component.name },
+    import: importPath.trim(),
+    export: exportName.trim(),
+    ...(isDefault ? { default: true } : {}),
+    props
+  };
+}
+
+program
+  .command('map <url>')
+  .description(`Link the Figma components used in a design to components of the codebase in ${COMPONENT_MAP_FILE}`)
+  .option('--project <dir>', `Project whose ${COMPONENT_MAP_FILE} is updated (created there when missing)`, process.cwd())
+  .option('--all', 'Also revisit components that are already mapped')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .action(async (url, options) => {
+    try {
+      const results = await fetchNodesMetadata([url], { ...options, variables: false });
+      const used = collectUsedComponents(results.map(result => result.node));
+      if (used.length === 0) {
+        console.log('No component instances found in this design.');
+        return;
+      }
+      
+      const componentMap = loadComponentMap(options.project);
+      const mapPath = componentMap.path || path.join(path.resolve(options.project), COMPONENT_MAP_FILE);
+      const components = [...componentMap.components];
+      
+      let changed = 0;
+      for (const component of used) {
+        const existing = findMapping(components, component.node);
+        if (existing && !options.all) continue;
+        
+        console.log(`\n${component.name}${component.count > 0 ? ` (${component.count} ${component.count === 1 ? 'instance' : 'instances'})` : ''}`);
+        const entry = await promptComponentMapping(component, existing);
+        if (!entry) continue;
+        
+        if (existing) {
+          components[components.indexOf(existing)] = entry;
+        } else {
+          components.push(entry);
+        }
+        changed++;
+      }
+      
+      if (changed === 0) {
+        console.log(`Nothing to update${componentMap.path ? ` in ${componentMap.path}` : ''}.`);
+        return;
+      }
+      
+      saveComponentMap(mapPath, components);
+      console.log(`Saved ${changed} ${changed === 1 ? 'mapping' : 'mappings'} to ${mapPath}`);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Split a "md=<url>" argument into its breakpoint and URL; untagged URLs get a breakpoint from their width
+function parseBreakpointFrame(value) {
+  const match = value.match(/^([\w-]+)=(.+)$/);
+  return match ? { breakpoint: match[1], url: match[2] } : { breakpoint: null, url: value };
+}
+
+program
+  .command('responsive <frames...>')
+  .description('Merge frames of one screen designed for several breakpoints into a single responsive description')
+  .option('-o, --output <path>', 'Output file path (defaults to stdout)')
+  .option('-f, --format <format>', 'Output format (ai-prompt, json, yaml)', 'ai-prompt')
+  .option('--project <dir>', 'Project whose tailwind.config.js provides the theme and screens', process.cwd())
+  .option('--no-variables', 'Skip resolving Figma variables bound to properties')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .option('--target <framework[/styling]>', 'Framework and styling to prompt for, e.g. vue/css-modules (ai-prompt, defaults to the project config or react/tailwind)')
+  .action(async (frames, options) => {
+    try {
+      if (!['ai-prompt', 'json', 'yaml'].includes(options.format)) {
+        throw new Error(`Unsupported format: ${options.format}`);
+      }
+      if (options.target && options.format !== 'ai-prompt') {
+        throw new Error('--target only applies to the ai-prompt format');
+      }
+      if (options.format === 'ai-prompt') promptTarget(options);
+      
+      const tagged = frames.map(parseBreakpointFrame);
+      if (tagged.length < 2) {
+        throw new Error('Give at least two frames, e.g. base=<mobile url> md=<tablet url> lg=<desktop url>');
+      }
+      
+      const figma = await createFigmaClient(options);
+      const results = await fetchNodesMetadata(tagged.map(frame => frame.url), options, figma);
+      
+      const mapper = await TailwindMapper.fromProject(options.project);
+      results.forEach(result => mapper.annotate(result.node));
+      annotateProjectComponents(results.map(result => result.node), options);
+      
+      const breakpoints = assignBreakpoints(
+        results.map((result, i) => ({ breakpoint: tagged[i].breakpoint, node: result.node })),
+        mapper.screens
+      );
+      if (options.verbose) {
+        breakpoints.forEach(breakpoint => {
+          console.log(`${breakpoint.breakpoint}: ${breakpoint.node.name}${breakpoint.node.size ? ` (${breakpoint.node.size.width}px)` : ''}`);
+        });
+      }
+      
+      const output = await formatOutput([mergeBreakpoints(breakpoints)], options.format, figma, options);
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`Responsive description saved to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Resolve a version id or label against the file's version history
+async function resolveVersion(figma, fileKey, value) {
+  const { versions } = await figma.versions(fileKey);
+  const version = (versions || []).find(candidate =>
+    candidate.id === value || (candidate.label && candidate.label.toLowerCase() === value.toLowerCase()));
+  
+  if (version) {
+    return { id: version.id, description: `version ${version.id}${version.label ? ` (${version.label})` : ''}` };
+  }
+  
+  // Older versions fall outside the first page of the history, so numeric ids are used as given
+  if (/^\d+$/.test(value)) {
+    return { id: value, description: `version ${value}` };
+  }
+  
+  throw new Error(`No version with id or label "${value}". Run "claude-code-figma diff <url> --versions" to list them.`);
+}
+
+program
+  .command('diff <url>')
+  .description('Compare a Figma node across two file versions or against a saved json snapshot')
+  .option('--from <version>', 'File version (id or label) to compare from')
+  .option('--to <version>', 'File version (id or label) to compare to (defaults to the current file)')
+  .option('--snapshot <path>', 'Compare from the json output of a previous extract instead of a version')
+  .option('--versions', 'List the file\'s versions and exit')
+  .option('-f, --format <format>', 'Output format (text, ai-prompt, json)', 'text')
+  .option('-o, --output <path>', 'Output file path (defaults to stdout)')
+  .option('--no-variables', 'Skip resolving Figma variables bound to properties')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .option('--target <framework[/styling]>', 'Framework and styling of the implementation to update (ai-prompt, defaults to the project config or react/tailwind)')
+  .action(async (url, options) => {
+    try {
+      const { fileKey, nodeId } = parseFigmaUrl(url);
+      if (options.target && options.format !== 'ai-prompt') {
+        throw new Error('--target only applies to the ai-prompt format');
+      }
+      const target = options.format === 'ai-prompt' ? promptTarget(options) : null;
+      const figma = await createFigmaClient(options);
+      
+      if (options.versions) {
+        const { versions } = await figma.versions(fileKey);
+        (versions || []).forEach(version => {
+          console.log(`${version.id}  ${version.created_at}  ${version.label || '(autosave)'}${version.user ? `  @${version.user.handle}` : ''}`);
+        });
+        return;
+      }
+      
+      if (!nodeId) {
+        throw new Error('The URL must point at a node (?node-id=...) to diff');
+      }
+      if (!options.from && !options.snapshot) {
+        throw new Error('Pass --from <version> or --snapshot <path> to choose what to compare against');
+      }
+      if (!['text', 'ai-prompt', 'json'].includes(options.format)) {
+        throw new Error(`Unsupported format: ${options.format}. Use text, ai-prompt or json.`);
+      }
+      
+      const to = options.to
+        ? await resolveVersion(figma, fileKey, options.to)
+        : { id: null, description: 'the current file' };
+      const [after] = await fetchNodesMetadata([url], { ...options, version: to.id }, figma);
+      
+      let before;
+      let from;
+      if (options.snapshot) {
+        // Snapshots of several roots are arrays, so pick the one for this node
+        const snapshot = JSON.parse(fs.readFileSync(options.snapshot, 'utf8'));
+        before = Array.isArray(snapshot) ? snapshot.find(root => root.id === after.node.id) : snapshot;
+        if (!before || before.id !== after.node.id) {
+          throw new Error(`Snapshot ${options.snapshot} does not contain node ${after.node.id}`);
+        }
+        from = { description: `snapshot ${options.snapshot}` };
+      } else {
+        from = await resolveVersion(figma, fileKey, options.from);
+        [{ node: before }] = await fetchNodesMetadata([url], { ...options, version: from.id }, figma);
+      }
+      
+      const changes = diffNodes(before, after.node);
+      const meta = { name: after.node.name, nodeId: after.node.id, from: from.description, to: to.description };
       
-      // Format the output based on requested format
       let output;
       if (options.format === 'json') {
-        output = JSON.stringify(metadata, null, 2);
-      } else if (options.format === 'yaml') {
-        // Simple JSON to YAML conversion
-        const yaml = await import('js-yaml');
-        output = yaml.default.dump(metadata);
-      } else if (options.format === 'bullet') {
-        // Convert to bullet points for more readable output
-        output = formatAsBulletPoints(metadata);
+        output = JSON.stringify({ ...meta, changes }, null, 2);
       } else if (options.format === 'ai-prompt') {
-        // Generate the AI-optimized prompt
-        spinner.text = 'Generating AI-optimized prompt...';
-        output = formatAsAIPrompt(metadata, figma);
-        spinner.succeed('AI prompt generated');
-      } else if (options.format === 'summary') {
-        // Create a readable legacy summary
-        output = createComponentSummary(metadata);
+        output = formatDiffPrompt(changes, meta, figma, target);
       } else {
-        throw new Error(`Unsupported format: ${options.format}`);
+        output = formatDiffText(changes, meta);
       }
       
-      // Output the result
       if (options.output) {
         fs.writeFileSync(options.output, output);
-        console.log(`Metadata saved to ${options.output}`);
+        console.log(`Diff saved to ${options.output}`);
       } else {
-        // Output directly to stdout
         console.log(output);
       }
     } catch (error) {
@@ -698,70 +1498,312 @@ program
     }
   });
 
+// Collect the comment threads pinned to a node or its descendants, with the element's name path
+function collectCommentThreads(node, byNode, parentPath = '', found = []) {
+  const elementPath = parentPath ? `${parentPath} > ${node.name}` : node.name;
+  
+  if (byNode[node.id]) {
+    found.push({ nodeId: node.id, element: elementPath, threads: byNode[node.id] });
+  }
+  
+  (node.children || []).forEach(child => collectCommentThreads(child, byNode, elementPath, found));
+  return found;
+}
+
 program
-  .command('auth')
-  .description('Manage Figma authentication')
-  .option('--reset', 'Reset authentication and prompt for a new token')
-  .action(async (options) => {
+  .command('comments <url>')
+  .description('List the designer comments pinned to a Figma node and its descendants')
+  .option('-o, --output <path>', 'Output file path (defaults to stdout)')
+  .option('-f, --format <format>', 'Output format (text, json)', 'text')
+  .option('--include-resolved', 'Keep resolved comment threads')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .action(async (url, options) => {
     try {
-      // Check if reset option is provided
-      if (options.reset) {
-        if (fs.existsSync(TOKEN_PATH)) {
-          // Remove the existing token file
-          fs.unlinkSync(TOKEN_PATH);
-          console.log('Authentication token has been reset.');
-        } else {
-          console.log('No authentication token found to reset.');
+      const { fileKey, nodeId } = parseFigmaUrl(url);
+      const figma = await createFigmaClient(options);
+      
+      const byNode = await figma.loadComments(fileKey, { includeResolved: options.includeResolved });
+      if (!byNode) {
+        throw new Error(`Could not load comments for file ${fileKey}`);
+      }
+      
+      // Without a node the whole file is listed, so there is no tree to walk
+      let groups;
+      if (nodeId) {
+        const results = await fetchNodesMetadata([url], { ...options, variables: false }, figma);
+        groups = collectCommentThreads(results[0].node, byNode);
+      } else {
+        groups = Object.entries(byNode).map(([pinnedNodeId, threads]) => ({
+          nodeId: pinnedNodeId || null,
+          element: pinnedNodeId ? `Node ${pinnedNodeId}` : 'Canvas',
+          threads
+        }));
+      }
+      
+      let output;
+      if (options.format === 'json') {
+        output = JSON.stringify(groups, null, 2);
+      } else if (options.format === 'text') {
+        const count = groups.reduce((total, group) => total + group.threads.length, 0);
+        output = `${count} comment ${count === 1 ? 'thread' : 'threads'}\n`;
+        groups.forEach(group => {
+          output += `\n${group.element}${group.nodeId ? ` (${group.nodeId})` : ''}\n`;
+          group.threads.forEach(thread => {
+            output += `  - ${figma.describeComment(thread)}${thread.resolved ? ' (resolved)' : ''}\n`;
+            thread.replies.forEach(reply => {
+              output += `    - Reply: ${figma.describeComment(reply)}\n`;
+            });
+          });
+        });
+      } else {
+        throw new Error(`Unsupported format: ${options.format}. Use text or json.`);
+      }
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`Comments saved to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('assets <url>')
+  .description('Download the images and vector icons used by a Figma node')
+  .option('-d, --assets-dir <path>', 'Directory to write assets into', path.join('public', 'figma'))
+  .option('--asset-scales <scales>', 'Comma-separated scales for PNG renders', '1,2')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .action(async (url, options) => {
+    try {
+      const figma = await createFigmaClient(options);
+      const results = await fetchNodesMetadata([url], options, figma);
+      
+      const spinner = ora(`Exporting assets to ${options.assetsDir}...`).start();
+      const written = await exportAssets(results, figma, options);
+      spinner.succeed(`Exported ${written.images.length} images, ${written.svgs.length} SVGs and ${written.pngs.length} PNGs`);
+      
+      [...written.images, ...written.svgs, ...written.pngs].forEach(filePath => console.log(`- ${filePath}`));
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Token exporters by format name, with the file name used when writing all formats
+const TOKEN_FORMATS = {
+  w3c: { render: toW3CTokens, fileName: 'tokens.json' },
+  css: { render: toCSSVariables, fileName: 'tokens.css' },
+  tailwind: { render: toTailwindTheme, fileName: 'tailwind.tokens.js' }
+};
+
+program
+  .command('tokens <file-url>')
+  .description('Export the file\'s color, text and effect styles as design tokens')
+  .option('-f, --format <format>', 'Token format (w3c, css, tailwind)', 'w3c')
+  .option('-o, --output <path>', 'Output file path (defaults to stdout)')
+  .option('--out-dir <dir>', 'Write every token format into this directory')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('--offline', 'Serve responses from the local cache without contacting Figma')
+  .action(async (fileUrl, options) => {
+    try {
+      if (!options.outDir && !TOKEN_FORMATS[options.format]) {
+        throw new Error(`Unsupported token format: ${options.format}. Use w3c, css or tailwind.`);
+      }
+      
+      const { fileKey } = parseFigmaUrl(fileUrl);
+      const figma = await createFigmaClient(options);
+      
+      const spinner = ora('Resolving styles...').start();
+      const tokens = await resolveStyleTokens(figma, fileKey);
+      spinner.succeed(`Resolved ${tokens.length} style tokens`);
+      
+      if (options.outDir) {
+        if (!fs.existsSync(options.outDir)) {
+          fs.mkdirSync(options.outDir, { recursive: true });
         }
         
-        // Prompt for a new token
-        const token = await getAuthToken();
-        console.log('New authentication token saved successfully.');
+        Object.values(TOKEN_FORMATS).forEach(({ render, fileName }) => {
+          const filePath = path.join(options.outDir, fileName);
+          fs.writeFileSync(filePath, render(tokens));
+          console.log(`Tokens saved to ${filePath}`);
+        });
+        return;
+      }
+      
+      const output = TOKEN_FORMATS[options.format].render(tokens);
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`Tokens saved to ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('cache <action>')
+  .description('Manage the local Figma response cache (list, prune, clear)')
+  .option('--max-age <days>', 'Age in days after which prune removes entries', '30')
+  .action(async (action, options) => {
+    try {
+      const cache = new ResponseCache(CACHE_DIR);
+      
+      if (action === 'list') {
+        const entries = cache.list();
+        
+        if (entries.length === 0) {
+          console.log('The cache is empty.');
+          return;
+        }
         
-        // Verify the new token
-        console.log('Verifying new token...');
-        const response = await fetch('https://api.figma.com/v1/me', {
-          headers: {
-            'X-Figma-Token': token
+        entries.forEach(entry => {
+          if (entry.corrupt) {
+            console.log(`- ${path.basename(entry.path)} (corrupt)`);
+            return;
           }
+          console.log(`- ${entry.endpoint}`);
+          console.log(`  Version: ${entry.version || 'unknown'} (last modified ${entry.lastModified || 'unknown'})`);
+          console.log(`  Cached: ${entry.cachedAt}, ${(entry.bytes / 1024).toFixed(1)} KB`);
         });
         
-        if (!response.ok) {
-          console.error('API verification failed. Your token may be invalid or expired.');
-          process.exit(1);
+        const totalBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+        console.log(`\n${entries.length} entries, ${(totalBytes / 1024).toFixed(1)} KB in ${CACHE_DIR}`);
+      } else if (action === 'prune') {
+        const maxAgeDays = Number(options.maxAge);
+        if (Number.isNaN(maxAgeDays) || maxAgeDays < 0) {
+          throw new Error(`Invalid --max-age: ${options.maxAge}`);
         }
         
-        const userData = await response.json();
-        console.log('Authentication verified successfully!');
-        console.log('User info:');
-        console.log(`- Email: ${userData.email}`);
-        console.log(`- Handle: ${userData.handle}`);
-        console.log(`- ID: ${userData.id}`);
+        const removed = cache.prune(maxAgeDays * 24 * 60 * 60 * 1000);
+        console.log(`Removed ${removed.length} cache entries older than ${maxAgeDays} days.`);
+      } else if (action === 'clear') {
+        const removed = cache.clear();
+        console.log(`Removed ${removed.length} cache entries.`);
       } else {
-        // Standard auth verification
-        const token = await getAuthToken();
+        throw new Error(`Unknown cache action: ${action}. Use list, prune or clear.`);
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Verify the stored credentials by fetching the user they belong to
+// Without a profile this checks whatever the other commands would use
+async function verifyAuth(selectedProfile) {
+  const figma = await createFigmaClient({ cache: false, maxRetries: 0, profile: selectedProfile && selectedProfile.name });
+  const profile = selectedProfile || readStoredAuth().profile;
+  
+  let userData;
+  try {
+    userData = await figma.me();
+  } catch (error) {
+    console.error('API verification failed. Your token may be invalid or expired.');
+    console.error(`Please try re-authenticating with: claude-code-figma auth --reset${profile.source === '--profile' ? ` --profile ${profile.name}` : ''}`);
+    process.exit(1);
+  }
+  
+  // Remember the handle so "auth list" can show who each profile belongs to
+  if (profile.source !== 'environment') {
+    authStore.set(profile.name, { ...authStore.get(profile.name), handle: userData.handle });
+  }
+  
+  console.log('Authentication verified successfully!');
+  console.log(`Profile: ${profile.name} (${profile.source})`);
+  console.log('User info:');
+  console.log(`- Email: ${userData.email}`);
+  console.log(`- Handle: ${userData.handle}`);
+  console.log(`- ID: ${userData.id}`);
+  console.log(`- Method: ${figma.oauth ? 'OAuth' : 'personal access token'}`);
+}
+
+program
+  .command('auth [action] [name]')
+  .description('Manage Figma authentication (actions: list, use <profile>)')
+  .option('--profile <name>', 'Profile to log in to, reset or verify')
+  .option('--reset', 'Reset authentication and prompt for a new token')
+  .option('--oauth', 'Log in through the browser with OAuth instead of a personal access token')
+  .option('--client-id <id>', 'Client ID of the Figma OAuth app (defaults to FIGMA_CLIENT_ID)')
+  .option('--client-secret <secret>', 'Client secret of the Figma OAuth app (defaults to FIGMA_CLIENT_SECRET)')
+  .option('--port <port>', 'Loopback port for the OAuth callback', parseInteger(1, 65535), OAUTH_DEFAULT_PORT)
+  .option('--scopes <scopes>', 'Comma-separated OAuth scopes', OAUTH_DEFAULT_SCOPES.join(','))
+  .action(async (action, name, options) => {
+    try {
+      if (action === 'list') {
+        const profiles = authStore.list();
+        if (profiles.length === 0) {
+          console.log('No profiles found. Log in with: claude-code-figma auth');
+        }
+        profiles.forEach(profile => {
+          console.log(`${profile.active ? '*' : ' '} ${profile.name}  ${profile.method}${profile.handle ? `  @${profile.handle}` : ''}`);
+        });
         
-        // If we get here, we have a token. Let's verify it by checking user info
-        console.log('Verifying token by fetching user info...');
-        const response = await fetch('https://api.figma.com/v1/me', {
-          headers: {
-            'X-Figma-Token': token
+        const current = process.env.FIGMA_TOKEN ? { name: 'FIGMA_TOKEN', source: 'environment' } : resolveProfile();
+        if (current.source !== 'active profile' && current.source !== 'default') {
+          console.log(`\nIn use here: ${current.name} (from ${current.source})`);
+        }
+        return;
+      }
+      
+      if (action === 'use') {
+        if (!name) {
+          throw new Error('Name the profile to use, e.g. claude-code-figma auth use client-a');
+        }
+        authStore.use(name);
+        console.log(`Active profile is now "${name}".`);
+        
+        const current = resolveProfile();
+        if (current.name !== name) {
+          console.log(`Note: ${current.source} selects "${current.name}" in this directory.`);
+        }
+        return;
+      }
+      
+      if (action) {
+        throw new Error(`Unknown auth action: ${action}. Use list or use <profile>.`);
+      }
+      
+      const profile = resolveProfile(options.profile);
+      
+      if (options.oauth) {
+        console.log(`Opening Figma in your browser. The app must list http://127.0.0.1:${options.port}/callback as a callback URL.`);
+        
+        const oauth = await authorize({
+          clientId: options.clientId || process.env.FIGMA_CLIENT_ID,
+          clientSecret: options.clientSecret || process.env.FIGMA_CLIENT_SECRET,
+          port: options.port,
+          scopes: options.scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+          openUrl: async url => {
+            console.log(`If the browser does not open, visit:\n${url}\n`);
+            await open(url);
           }
         });
         
-        if (!response.ok) {
-          console.error('API verification failed. Your token may be invalid or expired.');
-          console.error('Please try re-authenticating with: claude-code-figma auth --reset');
-          process.exit(1);
+        authStore.set(profile.name, { oauth });
+        console.log(`OAuth login successful. Tokens saved to profile "${profile.name}".`);
+      } else if (options.reset) {
+        // Check if reset option is provided
+        if (authStore.remove(profile.name)) {
+          console.log(`Authentication token for profile "${profile.name}" has been reset.`);
+        } else {
+          console.log('No authentication token found to reset.');
         }
         
-        const userData = await response.json();
-        console.log('Authentication verified successfully!');
-        console.log('User info:');
-        console.log(`- Email: ${userData.email}`);
-        console.log(`- Handle: ${userData.handle}`);
-        console.log(`- ID: ${userData.id}`);
+        // Prompt for a new token
+        await getAuth(profile.name);
+        console.log('New authentication token saved successfully.');
       }
+      
+      // Verify the token by checking user info
+      console.log('Verifying token by fetching user info...');
+      await verifyAuth(options.profile || options.oauth || options.reset ? profile : null);
     } catch (error) {
       console.error(`Authentication error: ${error.message}`);
       process.exit(1);
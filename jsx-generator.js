@@ -0,0 +1,203 @@
+// Deterministic React JSX scaffold built from an extracted node tree
+// Frames become flex divs, TEXT nodes become paragraphs and INSTANCE nodes become
+// component references, all styled with the node's Tailwind classes; instances mapped in
+// figma.components.json are rendered with the project's component and imported
+
+import { pascalCase, instancePropsToJsx } from './component-api.js';
+import { renderHtml, isRichText } from './rich-text.js';
+import { codeComponentJsx, importLine } from './component-map.js';
+
+// Node types drawn as shapes that have no markup equivalent
+const SHAPE_TYPES = ['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'LINE', 'REGULAR_POLYGON', 'ELLIPSE'];
+
+const RESERVED_NAMES = ['Fragment', 'React', 'Component'];
+
+function jsxString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Attribute strings in JSX have no backslash escapes and decode entities, so such values become expressions
+function jsxAttributeValue(value) {
+  return /["\\&\n]/.test(String(value)) ? `{${jsxString(value)}}` : `"${value}"`;
+}
+
+class JsxGenerator {
+  constructor(options = {}) {
+    this.componentName = options.componentName || null;
+    this.indentSize = 2;
+  }
+
+  // Return the full source of a module exporting the root as a React component
+  generate(root) {
+    this.components = new Map(); // componentId -> { name, node }
+    this.imports = new Set();
+    this.usedNames = new Set(RESERVED_NAMES);
+
+    // Imported components keep their names, so local names are chosen around them
+    const reserveImports = node => {
+      if (node.codeComponent) this.usedNames.add(node.codeComponent.export);
+      (node.children || []).forEach(reserveImports);
+    };
+    reserveImports(root);
+
+    const rootName = this.uniqueName(this.componentName || pascalCase(root.name) || 'FigmaComponent');
+    const body = this.renderElement(root, null, 2);
+
+    let source = '// Generated by claude-code-figma from Figma node ' + root.id + '\n';
+    source += '// Baseline scaffold: refine naming, semantics and interactivity before shipping\n\n';
+    if (this.imports.size > 0) {
+      source += `${[...this.imports].sort().join('\n')}\n\n`;
+    }
+    source += `export default function ${rootName}() {\n`;
+    source += '  return (\n';
+    source += body;
+    source += '  );\n';
+    source += '}\n';
+
+    // Instances reference local placeholder components rendered from their first occurrence
+    // Each one is meant to be replaced with the matching component from the codebase
+    for (const { name, node } of this.components.values()) {
+      source += `\n// Placeholder for the Figma component "${node.name}": replace with the project's component\n`;
+      source += `function ${name}() {\n`;
+      source += '  return (\n';
+      source += this.renderElement(node, null, 2);
+      source += '  );\n';
+      source += '}\n';
+    }
+
+    return source;
+  }
+
+  uniqueName(base) {
+    let name = base;
+    let counter = 2;
+    while (this.usedNames.has(name)) {
+      name = `${base}${counter++}`;
+    }
+    this.usedNames.add(name);
+    return name;
+  }
+
+  classesFor(node, parent) {
+    const classes = node.tailwind && node.tailwind.classes ? node.tailwind.classes.split(' ') : [];
+
+    // Children of frames without auto-layout keep their absolute position in the parent
+    if (parent && !parent.layout && node.position && parent.position) {
+      const left = Math.round(node.position.x - parent.position.x);
+      const top = Math.round(node.position.y - parent.position.y);
+      classes.unshift('absolute', `left-[${left}px]`, `top-[${top}px]`);
+    }
+
+    if (!node.layout && node.children && node.children.length > 0) {
+      classes.unshift('relative');
+    }
+
+    return classes.filter(Boolean).join(' ');
+  }
+
+  attributes(node, parent) {
+    const className = this.classesFor(node, parent);
+    const attributes = className ? [`className=${jsxAttributeValue(className)}`] : [];
+
+    const imageFill = (node.fills || []).find(fill => fill && fill.type === 'IMAGE' && fill.asset);
+    if (imageFill && node.children && node.children.length > 0) {
+      attributes.push(`style={{ backgroundImage: ${jsxString(`url(/${imageFill.asset.replace(/^public\//, '')})`)}, backgroundSize: 'cover' }}`);
+    }
+
+    return attributes;
+  }
+
+  openTag(tag, attributes, selfClosing) {
+    const attrs = attributes.length > 0 ? ` ${attributes.join(' ')}` : '';
+    return `<${tag}${attrs}${selfClosing ? ' />' : '>'}`;
+  }
+
+  renderText(node) {
+    if (isRichText(node)) {
+      return renderHtml(node, { jsx: true });
+    }
+
+    const text = node.textContent || '';
+    const lines = text.split('\n');
+
+    return lines
+      .map(line => (/[{}<>]/.test(line) || line !== line.trim() ? `{${jsxString(line)}}` : line))
+      .join('<br />');
+  }
+
+  // Render a node, turning instances into component references
+  renderNode(node, parent, level) {
+    if (!node || node.visible === false) return '';
+
+    if (node.type === 'INSTANCE') {
+      const indent = ' '.repeat(level * this.indentSize);
+      let reference;
+      if (node.codeComponent) {
+        this.imports.add(importLine(node.codeComponent));
+        reference = codeComponentJsx(node);
+      } else {
+        reference = this.openTag(this.componentFor(node), instancePropsToJsx(node.componentProperties), true);
+      }
+
+      // Positioning belongs to the usage site, so absolutely placed instances get a wrapper
+      const position = this.classesFor({ ...node, tailwind: null, children: null }, parent);
+      if (position) {
+        return `${indent}<div className=${jsxAttributeValue(position)}>\n${indent}${' '.repeat(this.indentSize)}${reference}\n${indent}</div>\n`;
+      }
+
+      return `${indent}${reference}\n`;
+    }
+
+    return this.renderElement(node, parent, level);
+  }
+
+  componentFor(node) {
+    const key = node.componentId || node.name;
+    if (!this.components.has(key)) {
+      const baseName = pascalCase(node.name.split('/')[0]) || 'FigmaInstance';
+      this.components.set(key, { name: this.uniqueName(baseName), node });
+    }
+    return this.components.get(key).name;
+  }
+
+  // Render a node as plain markup, regardless of whether it is an instance
+  renderElement(node, parent, level) {
+    const indent = ' '.repeat(level * this.indentSize);
+    const attributes = this.attributes(node, parent);
+
+    if (node.type === 'TEXT') {
+      // Lists cannot live inside a paragraph
+      const tag = node.textLines ? 'div' : 'p';
+      return `${indent}${this.openTag(tag, attributes, false)}${this.renderText(node)}</${tag}>\n`;
+    }
+
+    const svgAsset = (node.assets || []).find(asset => asset.format === 'svg');
+    const imageFill = (node.fills || []).find(fill => fill && fill.type === 'IMAGE' && fill.asset);
+    const imageSource = svgAsset ? svgAsset.path : (!node.children && imageFill ? imageFill.asset : null);
+
+    // Exported assets are served from the public directory
+    if (imageSource) {
+      const src = `/${imageSource.replace(/^public\//, '')}`;
+      return `${indent}${this.openTag('img', [`src=${jsxAttributeValue(src)}`, `alt=${jsxAttributeValue(node.name || '')}`, ...attributes], true)}\n`;
+    }
+
+    if (SHAPE_TYPES.includes(node.type)) {
+      return `${indent}${this.openTag('div', [...attributes, 'aria-hidden="true"'], true)}\n`;
+    }
+
+    const children = (node.children || []).filter(child => child.visible !== false);
+    if (children.length === 0) {
+      return `${indent}${this.openTag('div', attributes, true)}\n`;
+    }
+
+    let markup = `${indent}${this.openTag('div', attributes, false)}\n`;
+    children.forEach(child => {
+      markup += this.renderNode(child, node, level + 1);
+    });
+    markup += `${indent}</div>\n`;
+
+    return markup;
+  }
+}
+
+export default JsxGenerator;
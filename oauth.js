@@ -0,0 +1,173 @@
+import http from 'http';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+// Figma OAuth 2 with PKCE: the authorization code arrives on a local loopback server
+const AUTHORIZE_URL = 'https://www.figma.com/oauth';
+const TOKEN_URL = 'https://api.figma.com/v1/oauth/token';
+const REFRESH_URL = 'https://api.figma.com/v1/oauth/refresh';
+
+// Read-only access to everything extract, diff, comments and tokens use
+const DEFAULT_SCOPES = [
+  'current_user:read',
+  'file_content:read',
+  'file_metadata:read',
+  'file_versions:read',
+  'file_comments:read',
+  'library_content:read'
+];
+
+const DEFAULT_PORT = 8585;
+
+// Give up waiting for the browser after five minutes
+const CALLBACK_TIMEOUT = 5 * 60 * 1000;
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createPkcePair() {
+  const verifier = base64Url(crypto.randomBytes(32));
+  const challenge = base64Url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+// Post to a token endpoint with the app's client credentials
+async function tokenRequest(url, credentials, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${credentials.clientId}:${credentials.clientSecret}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ client_id: credentials.clientId, ...params }).toString()
+  });
+
+  if (!response.ok) {
+    let errorText = `${response.status} ${response.statusText}`;
+    try {
+      const error = await response.json();
+      errorText = `${response.status} ${error.message || error.error || response.statusText}`;
+    } catch (e) {
+      // Keep the status text
+    }
+    throw new Error(`Figma OAuth Error: ${errorText}`);
+  }
+
+  return response.json();
+}
+
+// Turn a token response into the credentials stored in auth.json
+function toCredentials(data, previous) {
+  return {
+    ...previous,
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous.refreshToken,
+    expiresAt: Date.now() + (data.expires_in || 0) * 1000,
+    userId: data.user_id !== undefined ? String(data.user_id) : previous.userId
+  };
+}
+
+// Start the loopback server, resolving with { callback } once it listens; callback settles with the
+// authorization code from the redirect. A port that is in use rejects before the browser is opened
+function listenForCallback(port, state) {
+  return new Promise((resolveServer, rejectServer) => {
+    let timer;
+    let listening = false;
+    let resolveCode;
+    let rejectCode;
+    const callback = new Promise((resolve, reject) => {
+      resolveCode = resolve;
+      rejectCode = reject;
+    });
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, `http://127.0.0.1:${port}`);
+      if (url.pathname !== '/callback') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      const finish = (error, code) => {
+        res.writeHead(error ? 400 : 200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(error
+          ? `<p>Figma authorization failed: ${error.message}</p>`
+          : '<p>Figma authorization complete. You can close this tab and return to the terminal.</p>');
+        clearTimeout(timer);
+        server.close();
+        return error ? rejectCode(error) : resolveCode(code);
+      };
+
+      if (url.searchParams.get('state') !== state) {
+        finish(new Error('OAuth state mismatch, the callback did not come from this login'));
+      } else if (url.searchParams.get('error')) {
+        finish(new Error(`Authorization denied: ${url.searchParams.get('error')}`));
+      } else if (!url.searchParams.get('code')) {
+        finish(new Error('No authorization code in the callback'));
+      } else {
+        finish(null, url.searchParams.get('code'));
+      }
+    });
+
+    server.on('error', error => {
+      clearTimeout(timer);
+      const reason = error.code === 'EADDRINUSE'
+        ? new Error(`Port ${port} is in use. Pick another one with --port and register its callback URL in the Figma app.`)
+        : error;
+      return listening ? rejectCode(reason) : rejectServer(reason);
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+      listening = true;
+      timer = setTimeout(() => {
+        server.close();
+        rejectCode(new Error('Timed out waiting for the Figma authorization'));
+      }, CALLBACK_TIMEOUT);
+      resolveServer({ callback });
+    });
+  });
+}
+
+// Run the browser login and exchange the code for access and refresh tokens
+// openUrl opens the authorization page; the app must list the loopback callback URL
+async function authorize({ clientId, clientSecret, port = DEFAULT_PORT, scopes = DEFAULT_SCOPES, openUrl }) {
+  if (!clientId || !clientSecret) {
+    throw new Error('OAuth needs the client ID and secret of a Figma app (--client-id/--client-secret or FIGMA_CLIENT_ID/FIGMA_CLIENT_SECRET)');
+  }
+
+  const redirectUri = `http://127.0.0.1:${port}/callback`;
+  const state = base64Url(crypto.randomBytes(16));
+  const { verifier, challenge } = createPkcePair();
+
+  const authorizeUrl = `${AUTHORIZE_URL}?${new URLSearchParams({
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes.join(' '),
+    state,
+    response_type: 'code',
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  })}`;
+
+  // Only open the browser once the callback server listens, and watch the callback while it opens
+  const { callback } = await listenForCallback(port, state);
+  const [code] = await Promise.all([callback, openUrl(authorizeUrl)]);
+
+  const data = await tokenRequest(TOKEN_URL, { clientId, clientSecret }, {
+    redirect_uri: redirectUri,
+    code,
+    grant_type: 'authorization_code',
+    code_verifier: verifier
+  });
+
+  return toCredentials(data, { clientId, clientSecret });
+}
+
+// Exchange the refresh token for a new access token
+async function refreshAccessToken(credentials) {
+  const data = await tokenRequest(REFRESH_URL, credentials, { refresh_token: credentials.refreshToken });
+  return toCredentials(data, credentials);
+}
+
+export { authorize, refreshAccessToken, createPkcePair, DEFAULT_SCOPES, DEFAULT_PORT };
@@ -0,0 +1,86 @@
+// Keep ai-prompt output within a token budget by moving the largest subtrees into separate part files
+// that an index prompt references
+import path from 'path';
+import { groupRepeats } from './repeated-structure.js';
+
+// Rough token count for English prose and code, about four characters per token
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// out/page.txt -> out/page.part-2.txt
+function partPath(output, number) {
+  const extension = path.extname(output);
+  return `${output.slice(0, output.length - extension.length)}.part-${number}${extension || '.txt'}`;
+}
+
+// Children that are described in full at this depth, and so can be moved into a part of their own
+function expandableChildren(figma, node, depth, options) {
+  if (node.codeComponent || (options.maxDepth !== undefined && depth >= options.maxDepth)) return [];
+
+  const firstInstance = options.firstInstances && node.type === 'INSTANCE' && options.firstInstances.get(node.componentId);
+  if (firstInstance && firstInstance.id !== node.id) return [];
+
+  // Repeated items are described once as a template, so they stay together
+  return groupRepeats(figma.describedChildren(node)).filter(entry => entry.node).map(entry => entry.node);
+}
+
+// Split the prompt for the roots when it exceeds maxTokens, returning the index prompt and the parts to write
+// next to the output file; layers that cannot be split further are kept whole even when they exceed the budget
+function splitPrompt(roots, figma, options) {
+  const { maxTokens, output } = options;
+  const descriptionOptions = figma.descriptionOptions(roots, options);
+  const prompt = figma.generateAIPrompt(roots, descriptionOptions);
+
+  if (estimateTokens(prompt) <= maxTokens) {
+    return { index: prompt, parts: [], tokens: estimateTokens(prompt) };
+  }
+
+  // Pass 1: move the largest children out of every node that is over budget, until it fits
+  const references = new Map();
+  const measure = (node, depth) => estimateTokens(
+    figma.generateNodeDescription(node, 0, { ...descriptionOptions, depthOffset: depth, references })
+  );
+  const budget = Math.max(1, Math.floor(maxTokens / roots.length));
+
+  const fit = (node, depth, limit) => {
+    if (measure(node, depth) <= limit) return;
+
+    const largest = expandableChildren(figma, node, depth, descriptionOptions)
+      .map(child => ({ child, tokens: measure(child, depth + 1) }))
+      .sort((a, b) => b.tokens - a.tokens);
+
+    for (const { child } of largest) {
+      references.set(child.id, 'a separate file');
+      fit(child, depth + 1, maxTokens);
+      if (measure(node, depth) <= limit) break;
+    }
+  };
+  roots.forEach(root => fit(root, 0, budget));
+
+  // Pass 2: number the parts in document order and point the references at their files
+  const parts = [];
+  const collect = (node, ancestors) => {
+    if (node.visible === false) return;
+    if (references.has(node.id)) {
+      const file = partPath(output, parts.length + 1);
+      parts.push({ node, path: ancestors, depth: ancestors.length, file: path.basename(file), filePath: file });
+      references.set(node.id, path.basename(file));
+    }
+    (node.children || []).forEach(child => collect(child, [...ancestors, node.name]));
+  };
+  roots.forEach(root => (root.children || []).forEach(child => collect(child, [root.name])));
+
+  parts.forEach((part, i) => {
+    part.text = `Part ${i + 1} of ${parts.length} of the Figma design described in ${path.basename(output)}: ` +
+      `${part.node.name} (${part.node.type}, node ${part.node.id}), inside ${part.path.join(' > ')}.\n` +
+      'Layers described in other parts are referenced by file name.\n\n' +
+      figma.generateNodeDescription(part.node, 0, { ...descriptionOptions, depthOffset: part.depth, references });
+    part.tokens = estimateTokens(part.text);
+  });
+
+  const index = figma.generateAIPrompt(roots, { ...descriptionOptions, references, parts });
+  return { index, parts, tokens: estimateTokens(prompt) };
+}
+
+export { estimateTokens, partPath, splitPrompt };
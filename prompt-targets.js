@@ -0,0 +1,206 @@
+// Framework and styling targets of the ai-prompt: how the task is worded, the instructions
+// each target adds and how lengths and layout CSS are written (px, rem or React Native numbers)
+
+const round = value => Math.round(value * 10000) / 10000;
+
+// The first styling of each framework is its default; loop is how repeated elements are rendered,
+// existing names the implementation a diff prompt updates
+const FRAMEWORKS = {
+  react: {
+    label: 'React',
+    artifact: 'a React component',
+    artifacts: 'React components',
+    existing: 'the existing React component',
+    stylings: ['tailwind', 'css-modules', 'styled-components', 'css'],
+    instructions: [],
+    loop: 'items.map(item => ...)',
+    closing: 'Generate the complete React component code.'
+  },
+  vue: {
+    label: 'Vue',
+    artifact: 'a Vue single-file component',
+    artifacts: 'Vue single-file components',
+    existing: 'the existing Vue single-file component',
+    stylings: ['tailwind', 'css-modules', 'css'],
+    instructions: [
+      'Use <script setup> with the Composition API: props through defineProps, events through defineEmits.'
+    ],
+    loop: 'v-for="item in items"',
+    closing: 'Generate the complete .vue file.'
+  },
+  svelte: {
+    label: 'Svelte',
+    artifact: 'a Svelte component',
+    artifacts: 'Svelte components',
+    existing: 'the existing Svelte component',
+    stylings: ['tailwind', 'css'],
+    instructions: [
+      'Declare props the way the project\'s Svelte version does ($props() in Svelte 5, export let before) and keep element styles in the component\'s scoped <style> block.'
+    ],
+    loop: '{#each items as item}',
+    closing: 'Generate the complete .svelte file.'
+  },
+  html: {
+    label: 'HTML',
+    artifact: 'a static HTML section',
+    artifacts: 'static HTML sections',
+    existing: 'the existing HTML markup and styles',
+    stylings: ['tailwind', 'css'],
+    instructions: [
+      'Use semantic elements (header, nav, section, button, ...) without a framework; add a small script only for behaviour listed under "Interactions".'
+    ],
+    loop: 'items.forEach(item => ...) in a small script',
+    closing: 'Generate the complete HTML markup and its styles.'
+  },
+  'react-native': {
+    label: 'React Native',
+    artifact: 'a React Native component',
+    artifacts: 'React Native components',
+    existing: 'the existing React Native component',
+    stylings: ['stylesheet', 'styled-components'],
+    instructions: [
+      'Use View, Text, Image and Pressable instead of HTML elements; all text must be inside <Text>.',
+      'Lengths are density-independent pixels written as plain numbers, and "Layout CSS" is given as style objects.'
+    ],
+    richText: 'Text with mixed styles is written as inline markdown: render **bold**, *italic*, ~~struck~~ and <span style="..."> runs as nested <Text> elements with those styles, [links](url) as nested <Text> opening the URL with Linking.openURL, and lists as rows of <Text>.',
+    responsive: 'The design is responsive: the base values apply at every width, the changes listed per breakpoint from that breakpoint\'s width up. Switch between them with useWindowDimensions and hide layers listed with "Only at" elsewhere.',
+    unit: 'number',
+    loop: 'items.map(item => ...)',
+    closing: 'Generate the complete React Native component code.'
+  }
+};
+
+const STYLINGS = {
+  tailwind: {
+    label: 'Tailwind CSS',
+    tailwind: true,
+    existing: 'Tailwind classes',
+    unit: 'px',
+    instructions: [],
+    responsive: 'The design is responsive and mobile-first: unprefixed Tailwind classes apply at every width, classes prefixed with a breakpoint (md:, lg:, ...) from that breakpoint up. Keep the prefixes, and hide layers listed with "Only at" elsewhere.'
+  },
+  'css-modules': {
+    label: 'CSS Modules',
+    existing: 'CSS Module classes',
+    unit: 'rem',
+    instructions: [
+      'Put the styles in a .module.css file next to the component, one class per styled element named after its layer, and apply them through the imported styles object.',
+      'Sizes, spacing and font sizes are given in rem (1rem = 16px); keep them in rem.'
+    ]
+  },
+  'styled-components': {
+    label: 'styled-components',
+    existing: 'styled components',
+    unit: 'rem',
+    instructions: [
+      'Define one styled component per styled element next to the component, named after its layer, and pass per-item values as transient $props.',
+      'Sizes, spacing and font sizes are given in rem (1rem = 16px); keep them in rem.'
+    ]
+  },
+  css: {
+    label: 'plain CSS',
+    existing: 'CSS classes and custom properties',
+    unit: 'rem',
+    instructions: [
+      'Write the styles as plain CSS with class names derived from the layer names (BEM style), reusing the project\'s CSS custom properties where they match.',
+      'Sizes, spacing and font sizes are given in rem (1rem = 16px); keep them in rem.'
+    ]
+  },
+  stylesheet: {
+    label: 'StyleSheet',
+    existing: 'StyleSheet entries',
+    unit: 'number',
+    instructions: [
+      'Define the styles with StyleSheet.create below the component, one entry per styled element named after its layer.'
+    ]
+  }
+};
+
+const DEFAULT_RESPONSIVE = 'The design is responsive and mobile-first: the base values apply at every width, the changes listed per breakpoint from that breakpoint\'s min-width up, through media queries. Hide layers listed with "Only at" elsewhere.';
+
+const DEFAULT_RICH_TEXT = 'Text with mixed styles is written as inline markdown: render **bold**, *italic*, ~~struck~~, [links](url) and lists as <strong>, <em>, <s>, <a> and <ul>/<ol>, and <span style="..."> runs as styled spans.';
+
+// Resolve "vue", "vue/css-modules" or { framework, styling } into a target; react/tailwind by default
+function resolveTarget(value) {
+  const spec = typeof value === 'string'
+    ? { framework: value.split('/')[0], styling: value.split('/')[1] }
+    : (value || {});
+  const frameworkName = String(spec.framework || 'react').trim().toLowerCase();
+
+  const framework = FRAMEWORKS[frameworkName];
+  if (!framework) {
+    throw new Error(`Unknown target framework "${frameworkName}". Use one of: ${Object.keys(FRAMEWORKS).join(', ')}`);
+  }
+
+  const stylingName = String(spec.styling || framework.stylings[0]).trim().toLowerCase();
+  if (!STYLINGS[stylingName]) {
+    throw new Error(`Unknown target styling "${stylingName}". Use one of: ${Object.keys(STYLINGS).join(', ')}`);
+  }
+  if (!framework.stylings.includes(stylingName)) {
+    throw new Error(`${framework.label} targets support ${framework.stylings.join(', ')} styling, not ${stylingName}`);
+  }
+
+  const styling = STYLINGS[stylingName];
+  return {
+    name: `${frameworkName}/${stylingName}`,
+    framework: { name: frameworkName, ...framework },
+    styling: { name: stylingName, ...styling },
+    unit: framework.unit || styling.unit,
+    responsive: framework.responsive || styling.responsive || DEFAULT_RESPONSIVE,
+    richText: framework.richText || DEFAULT_RICH_TEXT
+  };
+}
+
+// A length in the target's notation: 24px, 1.5rem or 24
+function formatLength(value, target) {
+  if (target.unit === 'rem') return `${round(value / 16)}rem`;
+  if (target.unit === 'number') return String(value);
+  return `${value}px`;
+}
+
+// Layout CSS in the target's notation: declarations for the web, a style object for React Native
+function formatCss(css, target) {
+  if (target.unit === 'number') {
+    const style = [];
+    Object.entries(css).forEach(([property, value]) => {
+      // React Native sizes to content by default and has no fit-content
+      if (value === 'fit-content') return;
+
+      const key = property.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      let styleValue;
+      if (property === 'flex') {
+        styleValue = parseFloat(value);
+      } else if (/^-?[\d.]+(px)?$/.test(value)) {
+        styleValue = parseFloat(value);
+      } else {
+        styleValue = JSON.stringify(value);
+      }
+      style.push(`${key}: ${styleValue}`);
+    });
+    return style.length > 0 ? `{ ${style.join(', ')} }` : '';
+  }
+
+  const declarations = Object.entries(css).map(([property, value]) => {
+    const converted = target.unit === 'rem' ? value.replace(/(-?[\d.]+)px\b/g, (match, px) => formatLength(parseFloat(px), target)) : value;
+    return `${property}: ${converted}`;
+  });
+  return declarations.join('; ');
+}
+
+// Add a framework, or a styling for the given frameworks,
+// e.g. registerTarget('styling', 'emotion', { label: 'Emotion', unit: 'rem', instructions: [...] }, ['react'])
+function registerTarget(kind, name, definition, frameworks = []) {
+  if (kind === 'framework') {
+    FRAMEWORKS[name] = definition;
+    return;
+  }
+
+  STYLINGS[name] = definition;
+  frameworks.forEach(framework => {
+    if (FRAMEWORKS[framework] && !FRAMEWORKS[framework].stylings.includes(name)) {
+      FRAMEWORKS[framework].stylings.push(name);
+    }
+  });
+}
+
+export { FRAMEWORKS, STYLINGS, resolveTarget, formatLength, formatCss, registerTarget };
@@ -0,0 +1,162 @@
+// Detect runs of sibling subtrees that share a structure (cards in a grid, table rows, nav items)
+// and describe them as one item template plus the values that vary between items
+import { propName } from './component-api.js';
+import { mappedPropValue } from './component-map.js';
+
+// Fewer siblings than this read better spelled out
+const MIN_REPEATS = 3;
+
+const round = value => Math.round(value);
+
+// The component an instance comes from: variants of one set share it, since the variant values
+// are per-item property fields; without keys the variant properties already identify the set
+function componentIdentity(node) {
+  const hasVariants = Object.values(node.componentProperties || {}).some(property => property.type === 'VARIANT');
+  return node.componentSetKey || node.componentKey || (hasVariants ? '' : node.componentId || '');
+}
+
+// Everything that shapes a subtree except the content that may vary per item:
+// text, image fills and component property values
+function structureSignature(node) {
+  const parts = [node.type];
+
+  if (node.layout) parts.push(JSON.stringify(node.layout));
+  if (node.size && node.type !== 'TEXT') parts.push(`${round(node.size.width)}x${round(node.size.height)}`);
+  if (node.cornerRadius) parts.push(`r${node.cornerRadius}`);
+  if (node.textStyle) {
+    const { fontFamily, fontSize, fontWeight, italic } = node.textStyle;
+    parts.push(JSON.stringify([fontFamily, fontSize, fontWeight, italic]));
+  }
+  parts.push((node.fills || []).map(fill => fill.type === 'SOLID' ? fill.color : fill.type).join(','));
+  parts.push((node.strokes || []).map(stroke => stroke.color || stroke.type).join(','));
+  if (node.effects) parts.push(JSON.stringify(node.effects));
+  if (node.componentProperties) parts.push(Object.keys(node.componentProperties).sort().join(','));
+  if (node.type === 'INSTANCE') parts.push(componentIdentity(node));
+  if (node.codeComponent) parts.push(`${node.codeComponent.export}@${node.codeComponent.import}`);
+
+  return `${parts.join('|')}[${(node.children || []).map(structureSignature).join(';')}]`;
+}
+
+// Split siblings into single nodes and runs of at least MIN_REPEATS consecutive nodes with one signature;
+// canGroup excludes nodes that must stay on their own
+function groupRepeats(children, canGroup = () => true) {
+  const groups = [];
+
+  children.forEach(child => {
+    const last = groups[groups.length - 1];
+    const signature = canGroup(child) && (child.children || []).length > 0 ? structureSignature(child) : null;
+
+    if (signature && last && last.signature === signature) {
+      last.nodes.push(child);
+    } else {
+      groups.push({ signature, nodes: [child] });
+    }
+  });
+
+  return groups.flatMap(group => group.signature && group.nodes.length >= MIN_REPEATS
+    ? [{ repeat: buildRepeat(group.nodes) }]
+    : group.nodes.map(node => ({ node })));
+}
+
+// Walk the items in parallel and collect every value that differs between them
+function collectFields(nodes, fields, usedKeys) {
+  const [first] = nodes;
+  const uniqueKey = base => {
+    let key = base || 'value';
+    for (let i = 2; usedKeys.has(key); i++) key = `${base}${i}`;
+    usedKeys.add(key);
+    return key;
+  };
+  const varies = values => new Set(values.map(value => JSON.stringify(value))).size > 1;
+
+  // Figma names text layers after their content, so only a name all items share makes a good key
+  const name = varies(nodes.map(node => node.name)) ? '' : first.name;
+
+  if (first.type === 'TEXT') {
+    const texts = nodes.map(node => node.textContent || '');
+    if (varies(texts)) {
+      fields.push({ key: uniqueKey(name ? propName(name) : 'text'), node: first, kind: 'text', values: texts });
+    }
+  }
+
+  (first.fills || []).forEach((fill, i) => {
+    if (fill.type !== 'IMAGE') return;
+    const images = nodes.map(node => {
+      const other = (node.fills || [])[i] || {};
+      return other.asset || other.imageRef || null;
+    });
+    if (varies(images)) {
+      const key = name ? propName(name) : '';
+      fields.push({ key: uniqueKey(/image/i.test(key) ? key : `${key}Image`.replace(/^Image$/, 'image')), node: first, kind: 'image', index: i, values: images });
+    }
+  });
+
+  Object.keys(first.componentProperties || {}).forEach(property => {
+    // Instances rendered by a project component get its values, not Figma's
+    const values = nodes.map(node => {
+      const value = node.componentProperties[property];
+      if (!value) return null;
+      return node.codeComponent ? mappedPropValue(node.codeComponent, property, value) : value.value;
+    });
+    if (varies(values)) {
+      fields.push({ key: uniqueKey(propName(property)), node: first, kind: 'property', property, values });
+    }
+  });
+
+  (first.children || []).forEach((child, i) => {
+    collectFields(nodes.map(node => node.children[i]), fields, usedKeys);
+  });
+
+  return fields;
+}
+
+// Copy of the first item with item.<key> placeholders where the items differ
+function buildTemplate(node, fieldsByNode) {
+  const template = { ...node };
+  const fields = fieldsByNode.get(node) || [];
+
+  fields.forEach(field => {
+    const placeholder = `{item.${field.key}}`;
+    if (field.kind === 'text') {
+      // Per-item text is plain, the styled runs of the first item would not fit the others
+      template.textContent = placeholder;
+      delete template.textSegments;
+      delete template.textLines;
+    } else if (field.kind === 'image') {
+      template.fills = template.fills.map((fill, i) => i === field.index ? { ...fill, asset: placeholder } : fill);
+    } else if (field.kind === 'property') {
+      template.componentProperties = {
+        ...template.componentProperties,
+        [field.property]: { ...template.componentProperties[field.property], value: placeholder }
+      };
+    }
+  });
+
+  if (node.children) {
+    template.children = node.children.map(child => buildTemplate(child, fieldsByNode));
+  }
+
+  return template;
+}
+
+// { nodes, template, fields: [key], items: [{ key: value }] } for a run of matching siblings
+function buildRepeat(nodes) {
+  const fields = collectFields(nodes, [], new Set());
+
+  const fieldsByNode = new Map();
+  fields.forEach(field => {
+    if (!fieldsByNode.has(field.node)) fieldsByNode.set(field.node, []);
+    fieldsByNode.get(field.node).push(field);
+  });
+
+  const items = nodes.map((node, i) => Object.fromEntries(fields.map(field => [field.key, field.values[i]])));
+
+  return {
+    nodes,
+    template: buildTemplate(nodes[0], fieldsByNode),
+    fields: fields.map(field => field.key),
+    items
+  };
+}
+
+export { structureSignature, groupRepeats };
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Persistent cache for Figma API responses, stored as one JSON file per endpoint
+class ResponseCache {
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+  }
+
+  // Map an endpoint to the file that holds its cached response
+  entryPath(endpoint) {
+    const hash = crypto.createHash('sha1').update(endpoint).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  get(endpoint) {
+    const entryPath = this.entryPath(endpoint);
+
+    if (!fs.existsSync(entryPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      // A corrupt entry is treated as a miss and overwritten on the next write
+      return null;
+    }
+  }
+
+  set(endpoint, data, meta = {}) {
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+
+    const entry = {
+      endpoint,
+      fileKey: meta.fileKey || null,
+      version: meta.version || null,
+      lastModified: meta.lastModified || null,
+      cachedAt: new Date().toISOString(),
+      data
+    };
+
+    fs.writeFileSync(this.entryPath(endpoint), JSON.stringify(entry));
+    return entry;
+  }
+
+  // List all entries without their response bodies
+  list() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.cacheDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const filePath = path.join(this.cacheDir, file);
+        try {
+          const { data, ...meta } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          return { ...meta, path: filePath, bytes: fs.statSync(filePath).size };
+        } catch (error) {
+          return { endpoint: null, path: filePath, bytes: fs.statSync(filePath).size, corrupt: true };
+        }
+      });
+  }
+
+  // Remove corrupt entries and entries cached more than maxAgeMs ago
+  prune(maxAgeMs) {
+    const now = Date.now();
+    const removed = this.list().filter(entry =>
+      entry.corrupt || now - new Date(entry.cachedAt).getTime() > maxAgeMs
+    );
+
+    removed.forEach(entry => fs.unlinkSync(entry.path));
+    return removed;
+  }
+
+  clear() {
+    const removed = this.list();
+    removed.forEach(entry => fs.unlinkSync(entry.path));
+    return removed;
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,377 @@
+// Merge frames of one screen designed at several widths into a single responsive tree
+// Layers are matched by name, then by type and order; Tailwind classes become mobile-first
+// with screen prefixes, and layers missing at some breakpoints are hidden there
+
+import { flattenStyles } from './component-api.js';
+
+// Utility groups, so a class replaced at a breakpoint is not reset as well, with the class
+// that restores the default when a breakpoint drops the utility altogether (null: no reset)
+const CLASS_GROUPS = [
+  [/^(flex|block|inline|inline-flex|grid|hidden)$/, 'block'],
+  [/^flex-(row|col)(-reverse)?$/, 'flex-row'],
+  [/^flex-(wrap|nowrap|wrap-reverse)$/, 'flex-nowrap'],
+  [/^flex-(1|auto|initial|none)$/, 'flex-initial'],
+  [/^shrink(-\d+)?$/, 'shrink'],
+  [/^justify-/, 'justify-start'],
+  [/^items-/, 'items-stretch'],
+  [/^content-/, 'content-normal'],
+  [/^self-/, 'self-auto'],
+  [/^gap-(?![xy]-)/, 'gap-0'],
+  [/^gap-x-/, 'gap-x-0'],
+  [/^gap-y-/, 'gap-y-0'],
+  [/^p-/, 'p-0'],
+  [/^px-/, 'px-0'],
+  [/^py-/, 'py-0'],
+  [/^pt-/, 'pt-0'],
+  [/^pr-/, 'pr-0'],
+  [/^pb-/, 'pb-0'],
+  [/^pl-/, 'pl-0'],
+  [/^w-/, 'w-auto'],
+  [/^h-/, 'h-auto'],
+  [/^min-w-/, 'min-w-0'],
+  [/^max-w-/, 'max-w-none'],
+  [/^min-h-/, 'min-h-0'],
+  [/^max-h-/, 'max-h-none'],
+  [/^(absolute|relative|fixed|sticky|static)$/, 'static'],
+  [/^left-/, 'left-auto'],
+  [/^top-/, 'top-auto'],
+  [/^z-/, 'z-auto'],
+  [/^rounded-(tl|tr|br|bl)(-|$)/, null],
+  [/^rounded(-|$)/, 'rounded-none'],
+  [/^border(-\d+|-\[[\d.]+px\])?$/, 'border-0'],
+  [/^border-/, null],
+  [/^bg-/, 'bg-transparent'],
+  [/^shadow/, 'shadow-none'],
+  [/^(italic|not-italic)$/, 'not-italic'],
+  [/^(underline|line-through|no-underline)$/, 'no-underline'],
+  [/^(uppercase|lowercase|capitalize|normal-case)$/, 'normal-case'],
+  [/^(truncate|line-clamp-)/, 'line-clamp-none'],
+  [/^text-(left|center|right|justify)$/, 'text-left'],
+  [/^text-(xs|sm|base|lg|\d?xl|\[[\d.]+px\])$/, null],
+  [/^text-/, null],
+  [/^font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black|\[\d+\])$/, 'font-normal'],
+  [/^font-/, null],
+  [/^leading-/, null],
+  [/^tracking-/, null],
+  [/^indent-/, 'indent-0'],
+  [/^blur-/, 'blur-none'],
+  [/^backdrop-blur-/, 'backdrop-blur-none']
+];
+
+// Properties that only describe geometry, which the merged classes and responsive.layout already cover
+const GEOMETRY = /^(size|sizeLimits|layout|layoutSizing|layoutGrow|layoutAlign|layoutPositioning|constraints|rotation)\b/;
+
+const JUSTIFY = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', SPACE_BETWEEN: 'space-between' };
+const ALIGN = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', BASELINE: 'baseline' };
+
+// Tailwind fractions tried before falling back to an arbitrary percentage
+const FRACTIONS = [[1, 2], [1, 3], [2, 3], [1, 4], [3, 4], [1, 5], [2, 5], [3, 5], [4, 5], [1, 6], [5, 6]];
+
+function classGroup(className) {
+  return CLASS_GROUPS.findIndex(([pattern]) => pattern.test(className));
+}
+
+function classesOf(node) {
+  return node.tailwind && node.tailwind.classes ? node.tailwind.classes.split(' ').filter(Boolean) : [];
+}
+
+// Name the frames' breakpoints: explicit names are kept, the others are taken from the frame width
+// (the narrowest frame is the base, wider ones take the largest screen they reach)
+function assignBreakpoints(frames, screens) {
+  const names = ['base', ...screens.map(screen => screen.name)];
+  const minWidth = name => (name === 'base' ? 0 : screens.find(screen => screen.name === name).px);
+
+  frames.forEach(frame => {
+    if (frame.breakpoint && !names.includes(frame.breakpoint)) {
+      throw new Error(`Unknown breakpoint "${frame.breakpoint}". Use one of: ${names.join(', ')}.`);
+    }
+  });
+
+  const byWidth = [...frames].sort((a, b) => (a.node.size ? a.node.size.width : 0) - (b.node.size ? b.node.size.width : 0));
+  byWidth.forEach((frame, i) => {
+    if (frame.breakpoint) return;
+
+    const width = frame.node.size ? frame.node.size.width : 0;
+    const reached = screens.filter(screen => screen.px <= width);
+    frame.breakpoint = i === 0 || reached.length === 0 ? 'base' : reached[reached.length - 1].name;
+  });
+
+  const seen = new Set();
+  frames.forEach(frame => {
+    if (seen.has(frame.breakpoint)) {
+      throw new Error(`Two frames map to the "${frame.breakpoint}" breakpoint. Tag them explicitly, e.g. md=<url>.`);
+    }
+    seen.add(frame.breakpoint);
+  });
+
+  if (!seen.has('base')) {
+    throw new Error('One frame must be the base (mobile-first) breakpoint. Tag the narrowest one base=<url>.');
+  }
+
+  return frames
+    .map(frame => ({ ...frame, minWidth: minWidth(frame.breakpoint) }))
+    .sort((a, b) => a.minWidth - b.minWidth);
+}
+
+// A renamed layer keeps its type and either a word of its name or its children's structure
+function looksRenamed(a, b) {
+  if (a.type !== b.type) return false;
+
+  const words = name => name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const shape = node => (node.children || []).map(child => child.type).join(',');
+  return words(a.name).some(word => words(b.name).includes(word)) || (shape(a) !== '' && shape(a) === shape(b));
+}
+
+// Group the children of matched nodes: by name and type first, then renamed layers that look alike
+function matchChildren(childLists) {
+  const groups = [];
+
+  childLists.forEach((children, bp) => {
+    const assigned = new Map();
+    const names = new Set(children.map(child => child.name));
+    const reference = group => group.find(Boolean);
+
+    children.forEach(child => {
+      const group = groups.find(candidate => !candidate[bp] &&
+        reference(candidate).name === child.name && reference(candidate).type === child.type);
+      if (group) {
+        group[bp] = child;
+        assigned.set(child, group);
+      }
+    });
+
+    children.forEach((child, i) => {
+      if (assigned.has(child)) return;
+
+      let group = groups.find(candidate => !candidate[bp] &&
+        !names.has(reference(candidate).name) && looksRenamed(reference(candidate), child));
+
+      if (!group) {
+        // New layer: place it after its previous sibling's group
+        group = childLists.map(() => null);
+        const previous = children.slice(0, i).reverse().find(sibling => assigned.has(sibling));
+        groups.splice(previous ? groups.indexOf(assigned.get(previous)) + 1 : 0, 0, group);
+      }
+
+      group[bp] = child;
+      assigned.set(child, group);
+    });
+  });
+
+  return groups;
+}
+
+// Width class for layers that stretch with their parent, or null when the width is fixed per breakpoint
+function fluidWidth(entries, parents) {
+  const pairs = entries
+    .map((node, bp) => ({ node, parent: parents[bp] }))
+    .filter(({ node, parent }) => node && parent && node.size && parent.size && parent.size.width);
+
+  // Constraints only apply outside auto-layout, where fill sizing already makes layers fluid
+  const stretches = pairs.length > 1 && pairs.every(({ node, parent }) =>
+    !(parent.layout && parent.layout.mode) && node.constraints &&
+    ['LEFT_RIGHT', 'SCALE'].includes(node.constraints.horizontal));
+  if (!stretches) return null;
+
+  if (pairs.every(({ node, parent }) => Math.abs(node.size.width - parent.size.width) <= 1)) {
+    return 'w-full';
+  }
+
+  const ratios = pairs.map(({ node, parent }) => node.size.width / parent.size.width);
+  if (Math.max(...ratios) - Math.min(...ratios) > 0.02) return null;
+
+  const ratio = ratios.reduce((sum, value) => sum + value, 0) / ratios.length;
+  const fraction = FRACTIONS.find(([top, bottom]) => Math.abs(top / bottom - ratio) <= 0.01);
+  return fraction ? `w-${fraction[0]}/${fraction[1]}` : `w-[${Math.round(ratio * 1000) / 10}%]`;
+}
+
+// Mobile-first classes: the first breakpoint's classes as they are, then only what changes per screen
+function mergeClasses(classLists, breakpoints) {
+  const merged = [];
+  let previous = null;
+  let visible = true;
+
+  classLists.forEach((classes, bp) => {
+    const prefix = bp === 0 ? '' : `${breakpoints[bp].breakpoint}:`;
+
+    if (!classes) {
+      if (visible) merged.push(`${prefix}hidden`);
+      visible = false;
+      return;
+    }
+
+    // Layers hidden so far keep their own classes unprefixed, except the display that reveals them
+    if (!visible) {
+      const display = classes.find(className => classGroup(className) === 0) || 'block';
+      merged.push(`${prefix}${display}`);
+      visible = true;
+    }
+
+    if (!previous) {
+      merged.push(...classes.filter(className => classGroup(className) !== 0 || bp === 0));
+    } else {
+      classes.filter(className => !previous.includes(className)).forEach(className => merged.push(`${prefix}${className}`));
+      previous
+        .filter(className => !classes.includes(className))
+        .filter(className => !classes.some(other => classGroup(other) !== -1 && classGroup(other) === classGroup(className)))
+        .forEach(className => {
+          const group = classGroup(className);
+          if (group !== -1 && CLASS_GROUPS[group][1]) merged.push(`${prefix}${CLASS_GROUPS[group][1]}`);
+        });
+    }
+
+    previous = classes;
+  });
+
+  return [...new Set(merged)];
+}
+
+// Property differences between consecutive breakpoints that are not geometry
+function breakpointChanges(entries, breakpoints) {
+  const changes = {};
+  let previous = null;
+
+  entries.forEach((node, bp) => {
+    if (!node) return;
+
+    if (previous) {
+      const before = flattenStyles(previous);
+      const after = flattenStyles(node);
+      const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(property => !GEOMETRY.test(property) && before[property] !== after[property])
+        .map(property => ({ property, from: before[property], to: after[property] }));
+      if (changed.length > 0) changes[breakpoints[bp].breakpoint] = changed;
+    }
+    previous = node;
+  });
+
+  return changes;
+}
+
+// A node's auto layout and resolved sizing as CSS declarations, independent of the styling target
+function layoutDeclarations(node) {
+  const css = {};
+  const { layout } = node;
+
+  if (layout && layout.mode) {
+    css.display = 'flex';
+    css['flex-direction'] = layout.mode === 'HORIZONTAL' ? 'row' : 'column';
+    if (layout.wrap === 'WRAP') css['flex-wrap'] = 'wrap';
+    if (layout.spacing) css.gap = `${layout.spacing}px`;
+    if (layout.wrap === 'WRAP' && layout.counterAxisSpacing !== undefined) css['row-gap'] = `${layout.counterAxisSpacing}px`;
+    css['justify-content'] = JUSTIFY[layout.primaryAxisAlignItems || 'MIN'] || 'flex-start';
+    css['align-items'] = ALIGN[layout.counterAxisAlignItems || 'MIN'] || 'flex-start';
+
+    const { top = 0, right = 0, bottom = 0, left = 0 } = layout.padding || {};
+    if (top === right && right === bottom && bottom === left) {
+      if (top) css.padding = `${top}px`;
+    } else {
+      Object.assign(css, { 'padding-top': `${top}px`, 'padding-right': `${right}px`, 'padding-bottom': `${bottom}px`, 'padding-left': `${left}px` });
+    }
+  }
+
+  return { ...css, ...(node.cssLayout ? node.cssLayout.css : {}) };
+}
+
+// Layout declarations at the first breakpoint a layer appears at, then only those that change per breakpoint,
+// so targets without Tailwind's screen prefixes can write them as media queries; null when nothing changes
+function breakpointLayout(entries, breakpoints) {
+  const layout = {};
+  let previous = null;
+
+  entries.forEach((node, bp) => {
+    if (!node) return;
+
+    const css = layoutDeclarations(node);
+    if (!previous) {
+      layout[breakpoints[bp].breakpoint] = css;
+    } else {
+      const changed = {};
+      Object.entries(css).forEach(([property, value]) => {
+        if (previous[property] !== value) changed[property] = value;
+      });
+      Object.keys(previous).filter(property => !(property in css)).forEach(property => {
+        changed[property] = 'unset';
+      });
+      if (Object.keys(changed).length > 0) layout[breakpoints[bp].breakpoint] = changed;
+    }
+    previous = css;
+  });
+
+  return Object.keys(layout).length > 1 ? layout : null;
+}
+
+function mergeEntries(entries, parents, breakpoints) {
+  const primary = entries.find(Boolean);
+  const fluid = parents ? fluidWidth(entries, parents) : 'w-full';
+
+  const classLists = entries.map(node => {
+    if (!node) return null;
+    const classes = classesOf(node);
+    return fluid ? [fluid, ...classes.filter(className => !/^w-/.test(className))] : classes;
+  });
+
+  const present = breakpoints.filter((breakpoint, bp) => entries[bp]).map(breakpoint => breakpoint.breakpoint);
+  const sizes = {};
+  entries.forEach((node, bp) => {
+    if (node && node.size) sizes[breakpoints[bp].breakpoint] = { width: node.size.width, height: node.size.height };
+  });
+
+  const responsive = {};
+  if (present.length < breakpoints.length) {
+    responsive.onlyAt = present;
+  }
+  if (new Set(Object.values(sizes).map(size => `${size.width}x${size.height}`)).size > 1) {
+    responsive.sizes = sizes;
+  }
+  if (fluid && parents) {
+    responsive.fluidWidth = fluid;
+  }
+  const changes = breakpointChanges(entries, breakpoints);
+  if (Object.keys(changes).length > 0) {
+    responsive.changes = changes;
+  }
+  const layout = breakpointLayout(entries, breakpoints);
+  if (layout) {
+    responsive.layout = layout;
+  }
+
+  // The layout CSS differs per breakpoint, the merged classes and responsive.layout carry it instead
+  const { children, cssLayout, ...rest } = primary;
+  const merged = {
+    ...rest,
+    tailwind: { classes: mergeClasses(classLists, breakpoints).join(' ') }
+  };
+  if (Object.keys(responsive).length > 0) {
+    merged.responsive = responsive;
+  }
+
+  const groups = matchChildren(entries.map(node => (node && node.children) || []));
+  if (groups.length > 0) {
+    merged.children = groups.map(group => mergeEntries(group, entries, breakpoints));
+  }
+
+  return merged;
+}
+
+// Merge the breakpoint frames, narrowest first, into one tree whose classes carry screen prefixes
+// Each frame needs Tailwind classes (node.tailwind) already
+function mergeBreakpoints(breakpoints) {
+  const root = mergeEntries(breakpoints.map(breakpoint => breakpoint.node), null, breakpoints);
+
+  root.responsive = {
+    ...root.responsive,
+    frames: breakpoints.map(breakpoint => ({
+      breakpoint: breakpoint.breakpoint,
+      minWidth: breakpoint.minWidth,
+      name: breakpoint.node.name,
+      id: breakpoint.node.id,
+      width: breakpoint.node.size ? breakpoint.node.size.width : null
+    }))
+  };
+  delete root.responsive.sizes;
+
+  return root;
+}
+
+export { assignBreakpoints, mergeBreakpoints };
@@ -0,0 +1,197 @@
+// Render the styled segments and list lines of an extracted TEXT node
+// as inline markdown (prompts), HTML (summary) or JSX (scaffolds)
+
+const TEXT_TRANSFORMS = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize', ORIGINAL: 'none' };
+
+// Split the node's segments into lines, each with its list type and indentation
+function textLines(node) {
+  const segments = node.textSegments || [{ text: node.textContent || '', style: {} }];
+  const lines = [[]];
+
+  segments.forEach(segment => {
+    segment.text.split('\n').forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, style: segment.style });
+    });
+  });
+
+  return lines.map((lineSegments, i) => ({
+    segments: lineSegments,
+    type: 'NONE',
+    indentation: 0,
+    ...(node.textLines && node.textLines[i])
+  }));
+}
+
+// The node's own style, which segments are compared against
+function baseStyle(node) {
+  const solidFill = (node.fills || []).find(fill => fill && fill.type === 'SOLID');
+  return { ...node.textStyle, color: solidFill ? solidFill.color : undefined };
+}
+
+// How a segment differs from the base style: semantic marks (bold, link, ...) plus CSS for the rest
+function describeSegment(style, base) {
+  const marks = { bold: false, italic: false, strike: false, underline: false, link: style.hyperlink || null };
+  const css = [];
+
+  if (style.fontWeight !== undefined && style.fontWeight !== base.fontWeight) {
+    if (style.fontWeight >= 600 && !(base.fontWeight >= 600)) {
+      marks.bold = true;
+    } else {
+      css.push(['font-weight', style.fontWeight]);
+    }
+  }
+
+  if (style.italic && !base.italic) {
+    marks.italic = true;
+  } else if (style.italic === false && base.italic) {
+    css.push(['font-style', 'normal']);
+  }
+
+  if (style.textDecoration && style.textDecoration !== base.textDecoration) {
+    if (style.textDecoration === 'STRIKETHROUGH') {
+      marks.strike = true;
+    } else if (style.textDecoration === 'UNDERLINE') {
+      // Links are underlined anyway
+      marks.underline = !marks.link;
+    } else {
+      css.push(['text-decoration', 'none']);
+    }
+  }
+
+  if (style.color && style.color !== base.color) css.push(['color', style.color]);
+  if (style.fontFamily && style.fontFamily !== base.fontFamily) css.push(['font-family', `'${style.fontFamily}'`]);
+  if (style.fontSize && style.fontSize !== base.fontSize) css.push(['font-size', `${style.fontSize}px`]);
+  if (style.lineHeight && style.lineHeight !== base.lineHeight) css.push(['line-height', `${style.lineHeight}px`]);
+  if (style.letterSpacing !== undefined && style.letterSpacing !== base.letterSpacing) css.push(['letter-spacing', `${style.letterSpacing}px`]);
+  if (style.textCase && style.textCase !== base.textCase) css.push(['text-transform', TEXT_TRANSFORMS[style.textCase] || 'none']);
+  if (style.openTypeFeatures) css.push(['font-feature-settings', fontFeatureSettings(style.openTypeFeatures)]);
+
+  return { marks, css };
+}
+
+// { SUPS: 1, LIGA: 0 } -> "sups" 1, "liga" 0
+function fontFeatureSettings(features) {
+  return Object.entries(features).map(([tag, value]) => `"${tag.toLowerCase()}" ${value ? 1 : 0}`).join(', ');
+}
+
+function linkTarget(link) {
+  return link.url || `#node-${link.nodeId}`;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function markdownSegment({ text, style }, base) {
+  // Markers must hug the text, so surrounding spaces stay outside them
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return text;
+
+  const { marks, css } = describeSegment(style, base);
+  let out = core;
+  if (css.length > 0) out = `<span style="${css.map(([property, value]) => `${property}: ${value}`).join('; ')}">${out}</span>`;
+  if (marks.strike) out = `~~${out}~~`;
+  if (marks.underline) out = `<u>${out}</u>`;
+  if (marks.italic) out = `*${out}*`;
+  if (marks.bold) out = `**${out}**`;
+  if (marks.link) out = `[${out}](${linkTarget(marks.link)})`;
+
+  return `${lead}${out}${trail}`;
+}
+
+function htmlSegment({ text, style }, base, jsx) {
+  const { marks, css } = describeSegment(style, base);
+
+  let out = jsx ? (/[{}<>]/.test(text) ? `{${JSON.stringify(text)}}` : text) : escapeHtml(text);
+  if (css.length > 0) {
+    const styleAttribute = jsx
+      ? `style={{ ${css.map(([property, value]) => `${property.replace(/-([a-z])/g, (m, c) => c.toUpperCase())}: ${JSON.stringify(String(value))}`).join(', ')} }}`
+      : `style="${escapeHtml(css.map(([property, value]) => `${property}: ${value}`).join('; ')).replace(/"/g, '&quot;')}"`;
+    out = `<span ${styleAttribute}>${out}</span>`;
+  }
+  if (marks.strike) out = `<s>${out}</s>`;
+  if (marks.underline) out = `<u>${out}</u>`;
+  if (marks.italic) out = `<em>${out}</em>`;
+  if (marks.bold) out = `<strong>${out}</strong>`;
+  if (marks.link) {
+    // JSX attribute strings have no escapes, so the URL is passed as an expression
+    const href = jsx
+      ? `{${JSON.stringify(linkTarget(marks.link))}}`
+      : `"${escapeHtml(linkTarget(marks.link)).replace(/"/g, '&quot;')}"`;
+    out = `<a href=${href}>${out}</a>`;
+  }
+
+  return out;
+}
+
+// Inline markdown: **bold**, *italic*, ~~struck~~, [links](url), numbered and bulleted lists;
+// other style changes become <span style="..."> runs
+function renderMarkdown(node) {
+  const base = baseStyle(node);
+  const counters = [];
+
+  return textLines(node).map(line => {
+    const text = line.segments.map(segment => markdownSegment(segment, base)).join('');
+    const level = Math.max(0, line.indentation - (line.type === 'NONE' ? 0 : 1));
+
+    // Numbering restarts below a shallower line and after anything that is not a numbered item
+    counters.length = level + 1;
+    if (line.type !== 'ORDERED') counters[level] = 0;
+
+    let marker = '';
+    if (line.type === 'ORDERED') {
+      counters[level] = (counters[level] || 0) + 1;
+      marker = `${counters[level]}. `;
+    } else if (line.type === 'UNORDERED') {
+      marker = '- ';
+    }
+
+    return `${'  '.repeat(level)}${marker}${text}`;
+  }).join('\n');
+}
+
+// HTML, or JSX with options.jsx: <strong>, <em>, <a> and <span style> runs, <ul>/<ol> lists and <br /> line breaks
+function renderHtml(node, options = {}) {
+  const base = baseStyle(node);
+  const parts = [];
+  const openLists = [];
+  let previousPlain = false;
+
+  const closeLists = depth => {
+    while (openLists.length > depth) parts.push(`</${openLists.pop()}>`);
+  };
+
+  textLines(node).forEach(line => {
+    const content = line.segments.map(segment => htmlSegment(segment, base, options.jsx)).join('');
+
+    if (line.type === 'NONE') {
+      closeLists(0);
+      if (previousPlain) parts.push('<br />');
+      parts.push(content);
+      previousPlain = true;
+      return;
+    }
+
+    const depth = Math.max(1, line.indentation);
+    const tag = line.type === 'ORDERED' ? 'ol' : 'ul';
+    closeLists(depth);
+    if (openLists.length === depth && openLists[depth - 1] !== tag) closeLists(depth - 1);
+    while (openLists.length < depth) {
+      parts.push(`<${tag}>`);
+      openLists.push(tag);
+    }
+    parts.push(`<li>${content}</li>`);
+    previousPlain = false;
+  });
+
+  closeLists(0);
+  return parts.join('');
+}
+
+// Whether the text needs more than a plain string to render
+function isRichText(node) {
+  return Boolean(node.textSegments || node.textLines);
+}
+
+export { renderMarkdown, renderHtml, isRichText };
@@ -0,0 +1,744 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+// Tailwind's default theme values that extracted properties are snapped to
+// Values come from tailwindcss 3.4 (stubs/config.full.js and lib/public/colors.js)
+const DEFAULT_THEME = {
+  spacing: {
+    px: '1px', 0: '0px', 0.5: '0.125rem', 1: '0.25rem', 1.5: '0.375rem', 2: '0.5rem', 2.5: '0.625rem',
+    3: '0.75rem', 3.5: '0.875rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem',
+    9: '2.25rem', 10: '2.5rem', 11: '2.75rem', 12: '3rem', 14: '3.5rem', 16: '4rem', 20: '5rem',
+    24: '6rem', 28: '7rem', 32: '8rem', 36: '9rem', 40: '10rem', 44: '11rem', 48: '12rem',
+    52: '13rem', 56: '14rem', 60: '15rem', 64: '16rem', 72: '18rem', 80: '20rem', 96: '24rem'
+  },
+  borderRadius: {
+    none: '0px', sm: '0.125rem', DEFAULT: '0.25rem', md: '0.375rem', lg: '0.5rem',
+    xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px'
+  },
+  borderWidth: { 0: '0px', DEFAULT: '1px', 2: '2px', 4: '4px', 8: '8px' },
+  fontSize: {
+    xs: '0.75rem', sm: '0.875rem', base: '1rem', lg: '1.125rem', xl: '1.25rem', '2xl': '1.5rem',
+    '3xl': '1.875rem', '4xl': '2.25rem', '5xl': '3rem', '6xl': '3.75rem', '7xl': '4.5rem',
+    '8xl': '6rem', '9xl': '8rem'
+  },
+  fontWeight: {
+    thin: '100', extralight: '200', light: '300', normal: '400', medium: '500',
+    semibold: '600', bold: '700', extrabold: '800', black: '900'
+  },
+  fontFamily: {
+    sans: ['ui-sans-serif', 'system-ui', 'sans-serif'],
+    serif: ['ui-serif', 'Georgia', 'Cambria', 'Times New Roman', 'Times', 'serif'],
+    mono: ['ui-monospace', 'SFMono-Regular', 'Menlo', 'Monaco', 'Consolas', 'monospace']
+  },
+  lineHeight: {
+    3: '.75rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem', 9: '2.25rem',
+    10: '2.5rem', none: '1', tight: '1.25', snug: '1.375', normal: '1.5', relaxed: '1.625', loose: '2'
+  },
+  letterSpacing: {
+    tighter: '-0.05em', tight: '-0.025em', normal: '0em', wide: '0.025em', wider: '0.05em', widest: '0.1em'
+  },
+  boxShadow: {
+    sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    DEFAULT: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+    lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+    inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)'
+  },
+  screens: { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' },
+  colors: {
+    black: '#000',
+    white: '#fff'
+  }
+};
+
+// Default palette, one string of shades 50-950 per color
+const DEFAULT_PALETTE = {
+  slate: '#f8fafc #f1f5f9 #e2e8f0 #cbd5e1 #94a3b8 #64748b #475569 #334155 #1e293b #0f172a #020617',
+  gray: '#f9fafb #f3f4f6 #e5e7eb #d1d5db #9ca3af #6b7280 #4b5563 #374151 #1f2937 #111827 #030712',
+  zinc: '#fafafa #f4f4f5 #e4e4e7 #d4d4d8 #a1a1aa #71717a #52525b #3f3f46 #27272a #18181b #09090b',
+  neutral: '#fafafa #f5f5f5 #e5e5e5 #d4d4d4 #a3a3a3 #737373 #525252 #404040 #262626 #171717 #0a0a0a',
+  stone: '#fafaf9 #f5f5f4 #e7e5e4 #d6d3d1 #a8a29e #78716c #57534e #44403c #292524 #1c1917 #0c0a09',
+  red: '#fef2f2 #fee2e2 #fecaca #fca5a5 #f87171 #ef4444 #dc2626 #b91c1c #991b1b #7f1d1d #450a0a',
+  orange: '#fff7ed #ffedd5 #fed7aa #fdba74 #fb923c #f97316 #ea580c #c2410c #9a3412 #7c2d12 #431407',
+  amber: '#fffbeb #fef3c7 #fde68a #fcd34d #fbbf24 #f59e0b #d97706 #b45309 #92400e #78350f #451a03',
+  yellow: '#fefce8 #fef9c3 #fef08a #fde047 #facc15 #eab308 #ca8a04 #a16207 #854d0e #713f12 #422006',
+  lime: '#f7fee7 #ecfccb #d9f99d #bef264 #a3e635 #84cc16 #65a30d #4d7c0f #3f6212 #365314 #1a2e05',
+  green: '#f0fdf4 #dcfce7 #bbf7d0 #86efac #4ade80 #22c55e #16a34a #15803d #166534 #14532d #052e16',
+  emerald: '#ecfdf5 #d1fae5 #a7f3d0 #6ee7b7 #34d399 #10b981 #059669 #047857 #065f46 #064e3b #022c22',
+  teal: '#f0fdfa #ccfbf1 #99f6e4 #5eead4 #2dd4bf #14b8a6 #0d9488 #0f766e #115e59 #134e4a #042f2e',
+  cyan: '#ecfeff #cffafe #a5f3fc #67e8f9 #22d3ee #06b6d4 #0891b2 #0e7490 #155e75 #164e63 #083344',
+  sky: '#f0f9ff #e0f2fe #bae6fd #7dd3fc #38bdf8 #0ea5e9 #0284c7 #0369a1 #075985 #0c4a6e #082f49',
+  blue: '#eff6ff #dbeafe #bfdbfe #93c5fd #60a5fa #3b82f6 #2563eb #1d4ed8 #1e40af #1e3a8a #172554',
+  indigo: '#eef2ff #e0e7ff #c7d2fe #a5b4fc #818cf8 #6366f1 #4f46e5 #4338ca #3730a3 #312e81 #1e1b4b',
+  violet: '#f5f3ff #ede9fe #ddd6fe #c4b5fd #a78bfa #8b5cf6 #7c3aed #6d28d9 #5b21b6 #4c1d95 #2e1065',
+  purple: '#faf5ff #f3e8ff #e9d5ff #d8b4fe #c084fc #a855f7 #9333ea #7e22ce #6b21a8 #581c87 #3b0764',
+  fuchsia: '#fdf4ff #fae8ff #f5d0fe #f0abfc #e879f9 #d946ef #c026d3 #a21caf #86198f #701a75 #4a044e',
+  pink: '#fdf2f8 #fce7f3 #fbcfe8 #f9a8d4 #f472b6 #ec4899 #db2777 #be185d #9d174d #831843 #500724',
+  rose: '#fff1f2 #ffe4e6 #fecdd3 #fda4af #fb7185 #f43f5e #e11d48 #be123c #9f1239 #881337 #4c0519'
+};
+
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+Object.entries(DEFAULT_PALETTE).forEach(([name, shades]) => {
+  DEFAULT_THEME.colors[name] = {};
+  shades.split(' ').forEach((hex, i) => {
+    DEFAULT_THEME.colors[name][SHADES[i]] = hex;
+  });
+});
+
+const CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.mjs', 'tailwind.config.cjs'];
+
+const ROOT_FONT_SIZE = 16;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Convert an hsl() triple to rgb components in the 0-255 range
+function hslToRgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360 / 360;
+  const sat = s / 100;
+  const light = l / 100;
+
+  if (sat === 0) {
+    return [light * 255, light * 255, light * 255];
+  }
+
+  const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+  const p = 2 * light - q;
+  const channel = t => {
+    let x = t;
+    if (x < 0) x += 1;
+    if (x > 1) x -= 1;
+    if (x < 1 / 6) return p + (q - p) * 6 * x;
+    if (x < 1 / 2) return q;
+    if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+    return p;
+  };
+
+  return [channel(hue + 1 / 3) * 255, channel(hue) * 255, channel(hue - 1 / 3) * 255];
+}
+
+// Parse #hex, rgb()/rgba() and hsl()/hsla() in comma or space syntax into { r, g, b, a }
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) return null;
+
+  const parts = fn[2].replace(/\//g, ' ').split(/[\s,]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const alphaPart = parts[3];
+  const a = alphaPart === undefined ? 1 : alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart);
+  const numbers = parts.slice(0, 3).map(part => parseFloat(part));
+  if (numbers.some(Number.isNaN) || Number.isNaN(a)) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map((part, i) => part.endsWith('%') ? numbers[i] * 2.55 : numbers[i]);
+    return { r, g, b, a };
+  }
+
+  const [r, g, b] = hslToRgb(numbers[0], numbers[1], numbers[2]);
+  return { r, g, b, a };
+}
+
+// Split a comma-separated CSS list without breaking inside parentheses
+function splitList(value) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) items.push(current.trim());
+
+  return items;
+}
+
+// Maps extracted node properties to Tailwind classes, snapping values to the nearest theme entry
+class TailwindMapper {
+  constructor(theme = DEFAULT_THEME, options = {}) {
+    this.cssVariables = options.cssVariables || {};
+    this.tolerance = options.tolerance !== undefined ? options.tolerance : 2;
+    this.colorTolerance = options.colorTolerance !== undefined ? options.colorTolerance : 12;
+    this.configPath = options.configPath || null;
+
+    this.spacing = this.lengthScale(theme.spacing);
+    this.borderRadius = this.lengthScale(theme.borderRadius);
+    this.borderWidth = this.lengthScale(theme.borderWidth);
+    this.fontSize = this.lengthScale(theme.fontSize, value => Array.isArray(value) ? value[0] : value);
+    this.lineHeight = Object.entries(theme.lineHeight || {}).map(([name, value]) => ({ name, value: String(value) }));
+    this.letterSpacing = Object.entries(theme.letterSpacing || {})
+      .map(([name, value]) => ({ name, em: parseFloat(value) }))
+      .filter(entry => !Number.isNaN(entry.em));
+    this.fontWeight = Object.entries(theme.fontWeight || {}).map(([name, value]) => ({ name, value: Number(value) }));
+    this.fontFamily = Object.entries(theme.fontFamily || {}).map(([name, value]) => ({
+      name,
+      families: (Array.isArray(value) ? value : String(value).split(','))
+        .flat()
+        .map(family => String(family).replace(/["']/g, '').trim().toLowerCase())
+    }));
+    this.colors = this.flattenColors(theme.colors || {});
+    // Min-width breakpoints, narrowest first; { min } objects count, max-only and raw screens do not
+    this.screens = this.lengthScale(theme.screens, value => (value && typeof value === 'object' ? value.min || '' : value))
+      .sort((a, b) => a.px - b.px);
+    this.boxShadow = Object.entries(theme.boxShadow || {})
+      .map(([name, value]) => ({ name, layers: this.parseShadow(String(value)) }))
+      .filter(entry => entry.layers.length > 0);
+  }
+
+  // Build a mapper from the project's tailwind.config.js and the CSS variables its colors refer to
+  static async fromProject(projectDir, options = {}) {
+    const configPath = CONFIG_FILES
+      .map(file => path.resolve(projectDir, file))
+      .find(file => fs.existsSync(file));
+
+    if (!configPath) {
+      return new TailwindMapper(DEFAULT_THEME, options);
+    }
+
+    const config = await TailwindMapper.loadConfig(configPath);
+    const theme = TailwindMapper.mergeTheme(config && config.theme);
+
+    return new TailwindMapper(theme, {
+      ...options,
+      configPath,
+      cssVariables: TailwindMapper.readCssVariables(projectDir)
+    });
+  }
+
+  // Evaluate the config with a forgiving require so missing plugins do not matter,
+  // falling back to a real import for configs that use ES module imports
+  static async loadConfig(configPath) {
+    const source = fs.readFileSync(configPath, 'utf8');
+
+    if (!/^\s*import\s/m.test(source)) {
+      const projectRequire = createRequire(configPath);
+      const module = { exports: {} };
+      const sandbox = {
+        module,
+        exports: module.exports,
+        __dirname: path.dirname(configPath),
+        __filename: configPath,
+        process,
+        require: id => {
+          try {
+            return projectRequire(id);
+          } catch (error) {
+            return () => ({});
+          }
+        }
+      };
+
+      try {
+        vm.runInNewContext(source.replace(/export\s+default\s+/, 'module.exports = '), sandbox, { filename: configPath });
+        return module.exports.default || module.exports;
+      } catch (error) {
+        // Fall through to a regular import
+      }
+    }
+
+    try {
+      const imported = await import(pathToFileURL(configPath).href);
+      return imported.default || imported;
+    } catch (error) {
+      throw new Error(`Could not load ${configPath}: ${error.message}`);
+    }
+  }
+
+  // Apply theme overrides and theme.extend on top of the defaults
+  static mergeTheme(theme = {}) {
+    const merged = {};
+    const { extend = {}, ...overrides } = theme;
+    const resolve = value => {
+      if (typeof value !== 'function') return value;
+      try {
+        return value({ theme: key => DEFAULT_THEME[key], colors: DEFAULT_THEME.colors });
+      } catch (error) {
+        return {};
+      }
+    };
+
+    Object.keys(DEFAULT_THEME).forEach(key => {
+      merged[key] = {
+        ...(overrides[key] !== undefined ? resolve(overrides[key]) : DEFAULT_THEME[key]),
+        ...resolve(extend[key] || {})
+      };
+    });
+
+    // Project entries are listed first so they win ties against the defaults
+    merged.colors = { ...resolve(extend.colors || {}), ...merged.colors };
+
+    return merged;
+  }
+
+  // Collect custom properties from :root blocks in the project's stylesheets
+  static readCssVariables(projectDir) {
+    const variables = {};
+    const visit = (dir, depth) => {
+      if (depth > 3 || !fs.existsSync(dir)) return;
+
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name === 'node_modules' || entry.name.startsWith('.')) return;
+
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          visit(entryPath, depth + 1);
+        } else if (entry.name.endsWith('.css')) {
+          const css = fs.readFileSync(entryPath, 'utf8');
+          for (const block of css.matchAll(/:root\s*{([^}]*)}/g)) {
+            for (const declaration of block[1].matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+              if (variables[declaration[1]] === undefined) {
+                variables[declaration[1]] = declaration[2].trim();
+              }
+            }
+          }
+        }
+      });
+    };
+
+    visit(path.join(projectDir, 'src'), 0);
+    return variables;
+  }
+
+  // Substitute var(--name) references with the project's CSS variable values
+  resolveVariables(value) {
+    return String(value).replace(/var\((--[\w-]+)(?:\s*,\s*([^)]+))?\)/g, (match, name, fallback) =>
+      this.cssVariables[name] !== undefined ? this.cssVariables[name] : (fallback || match)
+    );
+  }
+
+  // Convert a CSS length such as "0.5rem", "2px" or "calc(0.5rem - 2px)" to pixels
+  toPx(value) {
+    const resolved = this.resolveVariables(value).trim();
+
+    const calc = resolved.match(/^calc\((.+)\s+([+-])\s+(.+)\)$/);
+    if (calc) {
+      const left = this.toPx(calc[1]);
+      const right = this.toPx(calc[3]);
+      if (left === null || right === null) return null;
+      return calc[2] === '+' ? left + right : left - right;
+    }
+
+    const length = resolved.match(/^(-?[\d.]+)(px|rem)?$/);
+    if (!length) return null;
+
+    const number = parseFloat(length[1]);
+    return length[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+  }
+
+  lengthScale(scale = {}, pick = value => value) {
+    return Object.entries(scale)
+      .map(([name, value]) => ({ name, px: this.toPx(pick(value)) }))
+      .filter(entry => entry.px !== null);
+  }
+
+  // Flatten nested color objects into { name: 'primary-foreground', rgb } entries
+  flattenColors(colors, prefix = '') {
+    const entries = [];
+
+    Object.entries(colors).forEach(([key, value]) => {
+      const name = key === 'DEFAULT' ? prefix : prefix ? `${prefix}-${key}` : key;
+
+      if (value && typeof value === 'object') {
+        entries.push(...this.flattenColors(value, name));
+        return;
+      }
+
+      const rgb = parseColor(this.resolveVariables(value)
+        .replace(/<alpha-value>/g, '1')
+        // shadcn-style "hsl(222.2 47.4% 11.2%)" after substitution needs no change,
+        // but a bare "222.2 47.4% 11.2%" variable is treated as hsl
+        .replace(/^([\d.]+ [\d.]+% [\d.]+%)$/, 'hsl($1)'));
+
+      if (rgb && name) {
+        entries.push({ name, rgb });
+      }
+    });
+
+    return entries;
+  }
+
+  parseShadow(value) {
+    if (!value || value === 'none') return [];
+
+    return splitList(value).map(layer => {
+      const inset = /\binset\b/.test(layer);
+      const colorMatch = layer.match(/(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-fA-F]{3,8})/);
+      const lengths = layer
+        .replace(/\binset\b/, '')
+        .replace(colorMatch ? colorMatch[0] : '', '')
+        .trim()
+        .split(/\s+/)
+        .map(part => this.toPx(part));
+
+      return {
+        inset,
+        x: lengths[0] || 0,
+        y: lengths[1] || 0,
+        blur: lengths[2] || 0,
+        spread: lengths[3] || 0
+      };
+    });
+  }
+
+  // Pick the closest entry of a pixel scale, or fall back to an arbitrary value
+  snapLength(property, value, scale, prefix, result, tolerance = this.tolerance) {
+    const format = name => (name === 'DEFAULT' ? prefix : `${prefix}-${name}`);
+    let nearest = null;
+
+    scale.forEach(entry => {
+      if (!nearest || Math.abs(entry.px - value) < Math.abs(nearest.px - value)) {
+        nearest = entry;
+      }
+    });
+
+    const delta = nearest ? round(value - nearest.px) : null;
+    const snapped = nearest !== null && Math.abs(delta) <= tolerance;
+    const className = snapped ? format(nearest.name) : `${prefix}-[${round(value)}px]`;
+
+    if (nearest && delta !== 0) {
+      result.deviations.push({
+        property,
+        value: `${round(value)}px`,
+        token: format(nearest.name),
+        tokenValue: `${round(nearest.px)}px`,
+        delta: `${delta > 0 ? '+' : ''}${delta}px`,
+        snapped
+      });
+    }
+
+    result.classes.push(className);
+    return className;
+  }
+
+  snapColor(property, value, prefix, result) {
+    const color = parseColor(value);
+    if (!color) return;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.colors.forEach(entry => {
+      const distance = Math.sqrt(
+        (entry.rgb.r - color.r) ** 2 + (entry.rgb.g - color.g) ** 2 + (entry.rgb.b - color.b) ** 2
+      );
+      if (distance < nearestDistance) {
+        nearest = entry;
+        nearestDistance = distance;
+      }
+    });
+
+    const opacity = color.a < 1 ? `/${Math.round(color.a * 100)}` : '';
+    const snapped = nearest !== null && nearestDistance <= this.colorTolerance;
+    const arbitrary = color.a < 1
+      ? `rgba(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)},${round(color.a)})`
+      : value;
+
+    if (nearest && nearestDistance > 0) {
+      result.deviations.push({
+        property,
+        value,
+        token: `${prefix}-${nearest.name}`,
+        delta: `ΔRGB ${round(nearestDistance)}`,
+        snapped
+      });
+    }
+
+    result.classes.push(snapped ? `${prefix}-${nearest.name}${opacity}` : `${prefix}-[${arbitrary}]`);
+  }
+
+  mapLayout(node, result) {
+    const { layout } = node;
+    if (!layout) return;
+
+    result.classes.push('flex', layout.mode === 'HORIZONTAL' ? 'flex-row' : 'flex-col');
+
+    if (layout.wrap === 'WRAP') {
+      result.classes.push('flex-wrap');
+    }
+
+    const justify = { MIN: 'justify-start', CENTER: 'justify-center', MAX: 'justify-end', SPACE_BETWEEN: 'justify-between' };
+    const items = { MIN: 'items-start', CENTER: 'items-center', MAX: 'items-end', BASELINE: 'items-baseline' };
+    if (justify[layout.primaryAxisAlignItems]) result.classes.push(justify[layout.primaryAxisAlignItems]);
+
+    // Figma aligns to the start by default, flexbox stretches
+    result.classes.push(items[layout.counterAxisAlignItems || 'MIN']);
+
+    // Wrapped rows can have their own gap between rows
+    const rowGap = layout.wrap === 'WRAP' ? layout.counterAxisSpacing : undefined;
+    if (rowGap !== undefined && rowGap !== (layout.spacing || 0)) {
+      const horizontal = layout.mode === 'HORIZONTAL';
+      if (layout.spacing) this.snapLength(horizontal ? 'column-gap' : 'row-gap', layout.spacing, this.spacing, horizontal ? 'gap-x' : 'gap-y', result);
+      if (rowGap) this.snapLength(horizontal ? 'row-gap' : 'column-gap', rowGap, this.spacing, horizontal ? 'gap-y' : 'gap-x', result);
+    } else if (layout.spacing) {
+      this.snapLength('gap', layout.spacing, this.spacing, 'gap', result);
+    }
+
+    if (layout.wrap === 'WRAP' && layout.counterAxisAlignContent === 'SPACE_BETWEEN') {
+      result.classes.push('content-between');
+    }
+
+    const padding = layout.padding;
+    if (padding) {
+      const { top = 0, right = 0, bottom = 0, left = 0 } = padding;
+      if (top === right && right === bottom && bottom === left) {
+        if (top) this.snapLength('padding', top, this.spacing, 'p', result);
+      } else if (top === bottom && left === right) {
+        if (left) this.snapLength('padding-x', left, this.spacing, 'px', result);
+        if (top) this.snapLength('padding-y', top, this.spacing, 'py', result);
+      } else {
+        if (top) this.snapLength('padding-top', top, this.spacing, 'pt', result);
+        if (right) this.snapLength('padding-right', right, this.spacing, 'pr', result);
+        if (bottom) this.snapLength('padding-bottom', bottom, this.spacing, 'pb', result);
+        if (left) this.snapLength('padding-left', left, this.spacing, 'pl', result);
+      }
+    }
+  }
+
+  // Sizes resolved from auto-layout: fixed lengths snap to the spacing scale, hug and fill become keywords
+  mapSize(node, result) {
+    if (node.cssLayout) {
+      const { css } = node.cssLayout;
+      [['width', 'w'], ['height', 'h']].forEach(([property, prefix]) => {
+        const value = css[property];
+        if (!value || (node.type === 'TEXT' && property === 'height')) return;
+        if (value === 'fit-content') {
+          result.classes.push(`${prefix}-fit`);
+        } else if (value === '100%') {
+          result.classes.push(`${prefix}-full`);
+        } else {
+          this.snapLength(property, parseFloat(value), this.spacing, prefix, result);
+        }
+      });
+      return;
+    }
+
+    if (!node.size || node.type === 'TEXT') return;
+
+    // Auto-layout axes that hug their content get no fixed size
+    const layout = node.layout || {};
+    const horizontal = layout.mode === 'HORIZONTAL';
+    const hugWidth = layout.mode && (horizontal ? layout.primaryAxisSizingMode : layout.counterAxisSizingMode) === 'AUTO';
+    const hugHeight = layout.mode && (horizontal ? layout.counterAxisSizingMode : layout.primaryAxisSizingMode) === 'AUTO';
+
+    if (!hugWidth) this.snapLength('width', node.size.width, this.spacing, 'w', result);
+    if (!hugHeight) this.snapLength('height', node.size.height, this.spacing, 'h', result);
+  }
+
+  // How the node sits in its auto-layout parent: grow, shrink, self-alignment, absolute position and limits
+  mapFlexItem(node, result) {
+    if (!node.cssLayout) return;
+    const { css } = node.cssLayout;
+
+    if (css.position) result.classes.push(css.position);
+    if (css.left) result.classes.push(`left-[${css.left}]`);
+    if (css.top) result.classes.push(`top-[${css.top}]`);
+    if (css['z-index']) result.classes.push(`z-[${css['z-index']}]`);
+    if (css.flex) result.classes.push('flex-1');
+    if (css['flex-shrink'] === '0') result.classes.push('shrink-0');
+
+    const alignSelf = { stretch: 'self-stretch', 'flex-start': 'self-start', center: 'self-center', 'flex-end': 'self-end' };
+    if (alignSelf[css['align-self']]) result.classes.push(alignSelf[css['align-self']]);
+
+    [['min-width', 'min-w'], ['max-width', 'max-w'], ['min-height', 'min-h'], ['max-height', 'max-h']].forEach(([property, prefix]) => {
+      if (css[property] === '0') {
+        result.classes.push(`${prefix}-0`);
+      } else if (css[property]) {
+        result.classes.push(`${prefix}-[${css[property]}]`);
+      }
+    });
+  }
+
+  mapRadius(node, result) {
+    if (node.cornerRadius) {
+      this.snapLength('border-radius', node.cornerRadius, this.borderRadius, 'rounded', result);
+    } else if (node.cornerRadii) {
+      const corners = { topLeft: 'rounded-tl', topRight: 'rounded-tr', bottomRight: 'rounded-br', bottomLeft: 'rounded-bl' };
+      Object.entries(corners).forEach(([corner, prefix]) => {
+        if (node.cornerRadii[corner]) {
+          this.snapLength(`border-radius-${corner}`, node.cornerRadii[corner], this.borderRadius, prefix, result);
+        }
+      });
+    }
+  }
+
+  mapColors(node, result) {
+    const solidFill = (node.fills || []).find(fill => fill && fill.type === 'SOLID');
+    const fillColor = solidFill ? solidFill.color : node.backgroundColor;
+
+    if (fillColor) {
+      this.snapColor(node.type === 'TEXT' ? 'color' : 'background', fillColor, node.type === 'TEXT' ? 'text' : 'bg', result);
+    }
+
+    const solidStroke = (node.strokes || []).find(stroke => stroke && stroke.type === 'SOLID');
+    if (solidStroke) {
+      this.snapLength('border-width', node.strokeWeight || 1, this.borderWidth, 'border', result, 0);
+      this.snapColor('border-color', solidStroke.color, 'border', result);
+    }
+  }
+
+  mapTypography(node, result) {
+    const style = node.textStyle;
+    if (!style) return;
+
+    if (style.fontFamily) {
+      const family = style.fontFamily.toLowerCase();
+      const match = this.fontFamily.find(entry => entry.families.includes(family));
+      result.classes.push(match ? `font-${match.name}` : `font-['${style.fontFamily.replace(/ /g, '_')}']`);
+    }
+
+    if (style.fontSize) {
+      this.snapLength('font-size', style.fontSize, this.fontSize, 'text', result, 0.5);
+    }
+
+    if (style.fontWeight) {
+      const match = this.fontWeight.find(entry => entry.value === style.fontWeight);
+      result.classes.push(match ? `font-${match.name}` : `font-[${style.fontWeight}]`);
+    }
+
+    // Unitless line heights are relative to the font size
+    if (typeof style.lineHeight === 'number' && style.fontSize) {
+      const scale = this.lineHeight
+        .map(entry => {
+          const px = this.toPx(entry.value);
+          return { name: entry.name, px: /^[\d.]+$/.test(entry.value) ? parseFloat(entry.value) * style.fontSize : px };
+        })
+        .filter(entry => entry.px !== null);
+      this.snapLength('line-height', style.lineHeight, scale, 'leading', result, 1);
+    }
+
+    if (style.letterSpacing && style.fontSize) {
+      const scale = this.letterSpacing.map(entry => ({ name: entry.name, px: entry.em * style.fontSize }));
+      this.snapLength('letter-spacing', style.letterSpacing, scale, 'tracking', result, 0.25);
+    }
+
+    const align = { LEFT: 'text-left', CENTER: 'text-center', RIGHT: 'text-right', JUSTIFIED: 'text-justify' };
+    if (align[style.textAlign]) result.classes.push(align[style.textAlign]);
+
+    const textCase = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' };
+    if (textCase[style.textCase]) result.classes.push(textCase[style.textCase]);
+
+    const decoration = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' };
+    if (decoration[style.textDecoration]) result.classes.push(decoration[style.textDecoration]);
+
+    if (style.italic) result.classes.push('italic');
+
+    // One truncated line is `truncate`, more lines need a line clamp
+    if (style.truncate && (!style.maxLines || style.maxLines === 1)) {
+      result.classes.push('truncate');
+    } else if (style.maxLines) {
+      result.classes.push(style.maxLines <= 6 ? `line-clamp-${style.maxLines}` : `line-clamp-[${style.maxLines}]`);
+    }
+
+    if (style.paragraphIndent) result.classes.push(`indent-[${style.paragraphIndent}px]`);
+  }
+
+  mapEffects(node, result) {
+    const shadows = (node.effects || []).filter(effect =>
+      effect.visible !== false && (effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW')
+    );
+
+    if (shadows.length > 0) {
+      const first = shadows[0];
+      const layer = {
+        inset: first.type === 'INNER_SHADOW',
+        x: first.offset ? first.offset.x : 0,
+        y: first.offset ? first.offset.y : 0,
+        blur: first.radius || 0,
+        spread: first.spread || 0
+      };
+
+      // Compare against the first layer of each theme shadow
+      let nearest = null;
+      let nearestDistance = Infinity;
+      this.boxShadow.forEach(entry => {
+        const candidate = entry.layers[0];
+        if (candidate.inset !== layer.inset) return;
+        const distance = Math.max(
+          Math.abs(candidate.x - layer.x), Math.abs(candidate.y - layer.y),
+          Math.abs(candidate.blur - layer.blur), Math.abs(candidate.spread - layer.spread)
+        );
+        if (distance < nearestDistance) {
+          nearest = entry;
+          nearestDistance = distance;
+        }
+      });
+
+      const token = nearest ? (nearest.name === 'DEFAULT' ? 'shadow' : `shadow-${nearest.name}`) : null;
+      const snapped = shadows.length === 1 && nearest !== null && nearestDistance <= this.tolerance;
+      const arbitrary = shadows
+        .map(shadow => `${shadow.type === 'INNER_SHADOW' ? 'inset_' : ''}${shadow.offset.x}px_${shadow.offset.y}px_${shadow.radius}px_${shadow.spread || 0}px_${String(shadow.color).replace(/\s/g, '')}`)
+        .join(',');
+
+      if (token && nearestDistance > 0) {
+        result.deviations.push({ property: 'box-shadow', value: arbitrary.replace(/_/g, ' '), token, delta: `${round(nearestDistance)}px`, snapped });
+      }
+
+      result.classes.push(snapped ? token : `shadow-[${arbitrary}]`);
+    }
+
+    (node.effects || []).forEach(effect => {
+      if (effect.visible === false) return;
+      if (effect.type === 'LAYER_BLUR') result.classes.push(`blur-[${effect.radius}px]`);
+      if (effect.type === 'BACKGROUND_BLUR') result.classes.push(`backdrop-blur-[${effect.radius}px]`);
+    });
+  }
+
+  // Class list and token deviations for a single node
+  classesFor(node) {
+    const result = { classes: [], deviations: [] };
+
+    this.mapLayout(node, result);
+    this.mapFlexItem(node, result);
+    this.mapSize(node, result);
+    this.mapRadius(node, result);
+    this.mapColors(node, result);
+    this.mapTypography(node, result);
+    this.mapEffects(node, result);
+
+    return result;
+  }
+
+  // Annotate every node of an extracted tree in place with node.tailwind
+  annotate(node) {
+    if (!node) return node;
+
+    const { classes, deviations } = this.classesFor(node);
+    node.tailwind = { classes: classes.join(' ') };
+    if (deviations.length > 0) {
+      node.tailwind.deviations = deviations;
+    }
+
+    (node.children || []).forEach(child => this.annotate(child));
+    return node;
+  }
+}
+
+export default TailwindMapper;
@@ -18,11 +18,18 @@ async function testToken() {
   }
   
   // Read the token
-  let token;
+  let headers;
   try {
-    const tokenData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
-    token = tokenData.token;
-    console.log('Token found.');
+    const authData = JSON.parse(fs.readFileSync(TOKEN_PATH, 'utf8'));
+    // Test the active profile, or the single token written before profiles existed
+    const tokenData = authData.profiles
+      ? authData.profiles[process.env.FIGMA_PROFILE || authData.activeProfile || 'default'] || {}
+      : authData;
+    // OAuth logins send a bearer token, personal access tokens their own header
+    headers = tokenData.oauth
+      ? { 'Authorization': `Bearer ${tokenData.oauth.accessToken}` }
+      : { 'X-Figma-Token': tokenData.token };
+    console.log(`${tokenData.oauth ? 'OAuth token' : 'Token'} found.`);
   } catch (error) {
     console.error('Error reading auth token:', error.message);
     process.exit(1);
@@ -31,11 +38,7 @@ async function testToken() {
   // Test a simple API call (get user info)
   try {
     console.log('Making test request to Figma API...');
-    const response = await fetch('https://api.figma.com/v1/me', {
-      headers: {
-        'X-Figma-Token': token
-      }
-    });
+    const response = await fetch('https://api.figma.com/v1/me', { headers });
     
     console.log(`Response status: ${response.status} ${response.statusText}`);
     